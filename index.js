@@ -24,25 +24,61 @@
 
 'use strict';
 
-var path = require('path');
 var _ = require('underscore');
-var async = require('async');
-var Collection = require('./lib/collection');
+var Database = require('./lib/database');
 var util = require('./lib/util');
+var integrity = require('./lib/integrity');
+var encryption = require('./lib/encryption');
+var Memory = require('./lib/memory');
+var DataHandler = require('./lib/dataHandler');
+
+var FORMATS = ['json', 'ndjson'];
 
 /**
  * JSON DB FS Main entry point
  * Initializes a connection to the specified collections.
+ * Every call opens a new Database, independent from the ones opened before.
  *
  * @param collections an array of collections names
  *                    the collection names will be created as files in the specified 'path'
  * @param {object} options
- * @param {string} options.path defaults to '/tmp/'
- * @param {string} options.driver one of ['memory', 'disk'], defaults to 'disk'
+ * @param {string} options.path defaults to '/tmp/', ':memory:' uses the 'ephemeral' driver
+ * @param {string|object} options.driver one of ['memory', 'disk', 'ephemeral'], the name of a driver registered with registerDriver
+ *                or a driver instance storing a single collection, defaults to 'disk'.
+ *                'ephemeral' keeps the documents in memory only, without any file
  * @param {object} options.memory
  * @param {boolean} options.memory.flush true if you want to flush memory to file, this will be used as the time to flush memory to disk, defaults to false
  * @param {float} options.memory.flushInterval when using 'memory' driver this will be used as the time to flush memory to disk, defaults to 10000ms (10s)
- * @param callback executes the callback with the default signature (err, database)
+ * @param {string} options.memory.flushStrategy how the changes are flushed, one of ['interval', 'debounce', 'every-n-writes', 'immediate'],
+ *                 defaults to 'interval' when options.memory.flush is true, a strategy enables the flush on its own
+ * @param {number} options.memory.flushWrites the number of writes flushed together by the 'every-n-writes' strategy, defaults to 100
+ * @param {boolean} options.memory.watch true to reload the collection files changed on disk by someone else, defaults to false
+ * @param {string} options.memory.onConflict what happens to the unflushed changes of a watched file changed on disk,
+ *                 one of ['fail', 'reload', 'overwrite'], defaults to 'fail' (flushes fail with a ConflictError until the collection is reloaded)
+ * @param {object} options.disk
+ * @param {boolean} options.disk.journal true to append the changes to a journal instead of rewriting the collection file, defaults to false
+ * @param {number} options.disk.journalLimit the number of journal records compacted into the collection file, defaults to 1000
+ * @param {object} options.writeConcern
+ * @param {boolean} options.writeConcern.fsync true to wait for every write to reach the storage device, defaults to false
+ * @param {string} options.onCorruption validates the collections on connect, one of ['repair', 'fail']:
+ *                 'repair' repairs the corrupted collections, 'fail' fails with a CorruptionError, defaults to no validation
+ * @param {string} options.format the format of the collection files, one of ['json', 'ndjson'], defaults to 'json'
+ *                 'json' stores a collection as a JSON array, 'ndjson' as one document per line
+ * @param {string} options.compression compresses the collection files, one of ['gzip', 'brotli'], defaults to no compression
+ *                 compressed collections are stored as '<collection>.json.gz' (gzip) or '<collection>.json.br' (brotli)
+ * @param {object} options.encryption encrypts and authenticates the collection, journal and indexes files
+ * @param {Buffer|string} options.encryption.key a 32 bytes key, as a Buffer or a hex or base64 string
+ * @param {string} options.encryption.algorithm one of ['aes-256-gcm'], defaults to 'aes-256-gcm'
+ * @param {object} options.fieldEncryption encrypts selected fields of the documents, listed by options.collections[name].encryptedFields
+ * @param {Buffer|string} options.fieldEncryption.key a 32 bytes key, as a Buffer or a hex or base64 string
+ * @param {object} options.collections options by collection name, i.e. {Fixtures: {format: 'ndjson', compression: 'gzip'}}
+ *                 encryptedFields maps fields to their algorithm, one of ['deterministic', 'random'], i.e. {ssn: 'deterministic'}
+ *                 seed holds the documents an 'ephemeral' collection starts with, an array or the path of a fixture file
+ * @param {float} options.ttlInterval the time between two removals of the documents expired by TTL indexes, defaults to 60000ms (60s)
+ * @param {boolean} options.flushOnExit true to close the database (flushing the memory driver) on SIGINT, SIGTERM and before the process exits,
+ *                  defaults to false
+ * @param callback executes the callback with the default signature (err, database), database is a Database
+ * @returns {Promise} resolves with the database when no callback is given
  */
 module.exports.connect = function (collections, options, callback) {
   if (typeof collections === 'function') {
@@ -57,65 +93,76 @@ module.exports.connect = function (collections, options, callback) {
   if (!options) {
     options = {};
   }
-  if (!callback || typeof callback !== 'function') {
-    // callback should exist and should be a function, we cannot proceed without
-    throw new Error('No callback provided!');
+  if (typeof callback !== 'function') {
+    // without callback the database is resolved instead
+    return new Promise((resolve, reject) => {
+      module.exports.connect(collections, options, function afterConnect(err, database) {
+        return err ? reject(err) : resolve(database);
+      });
+    });
   }
   if (!collections || (!_.isArray(collections) && typeof collections !== 'string')) {
     // at least one collection should be a provided, we cannot proceed
     return callback(new Error('No collections provided!'));
   }
-  var self = this;
-  // internal properties
-  self._db = {};
-  self._db._path = options.path || '/tmp/';
-  self._db._driver = options.driver || 'disk';
-  self._db._memory = options.memory || {flush: false};
-  async.waterfall([
-    function validateDatabasePath(next) {
-      util.fileSystem.exists(self._db._path, function afterCheck(exists) {
-        if (!exists) {
-          console.error('Cannot access the following path: %s', self._db._path);
-          return callback(new Error('Cannot access the following path: ' + self._db._path));
-        }
-        return next();
-      });
-    },
-    function attachOrCreateCollections() {
-      if (!_.isArray(collections)) {
-        collections = [collections];
+  var database;
+  try {
+    database = new Database(options);
+  } catch (error) {
+    return callback(error);
+  }
+  database._attach(_.isArray(collections) ? collections : [collections], function afterAttach(err) {
+    if (err) {
+      return callback(err);
+    }
+    return callback(undefined, database);
+  });
+};
+
+/**
+ * Converts a collection file between the JSON array and the NDJSON formats.
+ * The collection should not be connected with another format meanwhile, its next write would convert it back.
+ *
+ * @param {string} file the path of the collection file, i.e. '/path/to/store/collections/Users.json'
+ * @param {string} format the target format, one of ['json', 'ndjson']
+ * @param {object} options
+ * @param {object} options.encryption the encryption option the file was connected with, i.e. {key: '<64 hex characters>'}
+ * @returns {Promise}
+ */
+module.exports.convert = function (file, format, options) {
+  return new Promise((resolve, reject) => {
+    if (FORMATS.indexOf(format) === -1) {
+      return reject(new Error('Format must be one of: ' + FORMATS.join(', ')));
+    }
+    try {
+      options = {encryption: encryption.configure((options || {}).encryption)};
+    } catch (error) {
+      return reject(error);
+    }
+    util.fileSystem.lock(file, function afterLock(err) {
+      if (err) {
+        return reject(err);
       }
-      // in parallel initialize each collection
-      async.each(collections, function attachOrCreate(collection, next) {
-        console.log('Collection \'%s\' is about to be attached', collection);
-        var filePath = path.join(self._db._path, collection + '.json');
-        util.fileSystem.exists(filePath, function afterCheck(exists) {
-          if (!exists) {
-            util.fileSystem.write(filePath, function afterWriteFile(err) {
-              // we want to load into memory the file, so we need to create Collection object here
-              if (err) {
-                return next(err);
-              }
-              console.log('File \'%s\' has been created for Collection \'%s\'', filePath, collection);
-              self[collection] = new Collection({db: self, file: filePath});
-              return next();
-            });
-          } else {
-            // the file exists we're good to go
-            console.log('File \'%s\' has been attached for Collection \'%s\'', filePath, collection);
-            self[collection] = new Collection({db: self, file: filePath});
-            return next();
-          }
+      util.fileSystem.convert(file, format, options, function afterConvert(err) {
+        util.fileSystem.unlock(file, function afterUnlock(unlockErr) {
+          return err || unlockErr ? reject(err || unlockErr) : resolve();
         });
-      }, function afterAttachOrCreate(err) {
-        if (err) {
-          console.error('Collection names must not contain any extension or any character not allowed in a filename.');
-          return callback(err);
-        } else {
-          console.log('JSON collections database path is %s', self._db._path);
-          return callback(undefined, self);
-        }
       });
-    }
-  ]);
+    });
+  });
 };
+
+/**
+ * Registers a storage driver, so connect({driver: name}) stores the collections with it.
+ * See lib/dataHandler.js registerDriver for the methods a driver implements.
+ *
+ * @param {string} name the driver name, the built-in ones ('memory', 'disk', 'ephemeral') cannot be replaced
+ * @param {function} DriverClass the driver constructor, constructed for every collection with {db, name, path}
+ * @throws {Error} if the name is taken by a built-in driver or the driver is not a constructor
+ */
+module.exports.registerDriver = DataHandler.registerDriver;
+
+module.exports.Database = Database;
+module.exports.CorruptionError = integrity.CorruptionError;
+module.exports.EncryptionError = encryption.EncryptionError;
+module.exports.ConflictError = Memory.ConflictError;
@@ -0,0 +1,887 @@
+/**
+ * (C) Copyright 2026 Manuel Martins.
+ *
+ * This module is inspired by json_file_system.
+ * (json_file_system is Copyright (c) 2014 Jalal Hejazi,
+ *  Licensed under the MIT license.)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * Created by: ManuelMartins
+ * Created on: 19-10-2026
+ *
+ */
+
+'use strict';
+
+var _ = require('underscore');
+var util = require('./util');
+var query = require('./query');
+var matchCriteria = require('json-criteria-ext').test;
+
+/**
+ * Pipeline stages, each one receives the documents coming from the previous stage,
+ * the stage argument and the pipeline context, and returns the documents (or a Promise of them)
+ * for the next stage.
+ */
+var STAGES = {
+
+  $match: function $match(documents, criteria, context) {
+    if (!criteria || typeof criteria !== 'object') {
+      throw new Error('$match expects a criteria object');
+    }
+    // $expr is an aggregation expression, the remaining criteria are evaluated with json-criteria
+    var expression = criteria.$expr;
+    criteria = _.omit(criteria, '$expr');
+    if (Object.keys(criteria).length === 0 && expression === undefined) {
+      return documents;
+    }
+    return documents.filter(function matches(document) {
+      if (expression !== undefined && !truthy(evaluate(expression, document, context.variables))) {
+        return false;
+      }
+      return Object.keys(criteria).length === 0 || matchCriteria(document, criteria);
+    });
+  },
+
+  $project: function $project(documents, spec, context) {
+    return documents.map(function projectDocument(document) {
+      return projectExpression(document, spec, context.variables);
+    });
+  },
+
+  $addFields: function $addFields(documents, spec, context) {
+    return documents.map(function addFields(document) {
+      var result = util.deepClone(document);
+      for (var field in spec) {
+        util.setPath(result, field, evaluate(spec[field], document, context.variables));
+      }
+      return result;
+    });
+  },
+
+  $set: function $set(documents, spec, context) {
+    return STAGES.$addFields(documents, spec, context);
+  },
+
+  $unset: function $unset(documents, fields) {
+    fields = _.isArray(fields) ? fields : [fields];
+    var projection = {};
+    fields.forEach(function exclude(field) {
+      projection[field] = 0;
+    });
+    return documents.map(function unset(document) {
+      return query.project(document, projection);
+    });
+  },
+
+  $group: function $group(documents, spec, context) {
+    if (!spec || !('_id' in spec)) {
+      throw new Error('$group requires an _id expression');
+    }
+    var groups = [];
+    var groupsByKey = {};
+    documents.forEach(function groupDocument(document) {
+      var id = evaluate(spec._id, document, context.variables);
+      var key = JSON.stringify(id === undefined ? null : id);
+      var group = groupsByKey[key];
+      if (!group) {
+        group = groupsByKey[key] = {id: id === undefined ? null : id, documents: []};
+        groups.push(group);
+      }
+      group.documents.push(document);
+    });
+    return groups.map(function accumulate(group) {
+      var result = {_id: group.id};
+      for (var field in spec) {
+        if (field !== '_id') {
+          result[field] = accumulateField(field, spec[field], group.documents, context.variables);
+        }
+      }
+      return result;
+    });
+  },
+
+  $sort: function $sort(documents, spec) {
+    return query.sort(documents, spec);
+  },
+
+  $skip: function $skip(documents, skip) {
+    assertCount('$skip', skip);
+    return documents.slice(skip);
+  },
+
+  $limit: function $limit(documents, limit) {
+    assertCount('$limit', limit);
+    if (limit === 0) {
+      throw new Error('$limit must be positive');
+    }
+    return documents.slice(0, limit);
+  },
+
+  $unwind: function $unwind(documents, spec) {
+    if (typeof spec === 'string') {
+      spec = {path: spec};
+    }
+    if (!spec || typeof spec.path !== 'string' || spec.path.charAt(0) !== '$') {
+      throw new Error('$unwind path must be a field path prefixed with \'$\'');
+    }
+    var path = spec.path.slice(1);
+    var unwound = [];
+    documents.forEach(function unwindDocument(document) {
+      var value = util.getPath(document, path);
+      if (!_.isArray(value)) {
+        if (value !== undefined && value !== null) {
+          value = [value];
+        } else {
+          value = [];
+        }
+      }
+      if (value.length === 0) {
+        if (spec.preserveNullAndEmptyArrays) {
+          var preserved = util.deepClone(document);
+          if (spec.includeArrayIndex) {
+            preserved[spec.includeArrayIndex] = null;
+          }
+          unwound.push(preserved);
+        }
+        return;
+      }
+      value.forEach(function unwindElement(element, index) {
+        var result = util.deepClone(document);
+        util.setPath(result, path, util.deepClone(element));
+        if (spec.includeArrayIndex) {
+          result[spec.includeArrayIndex] = index;
+        }
+        unwound.push(result);
+      });
+    });
+    return unwound;
+  },
+
+  $count: function $count(documents, field) {
+    if (typeof field !== 'string' || !field || field.charAt(0) === '$' || field.indexOf('.') !== -1) {
+      throw new Error('$count expects a non-empty field name without \'$\' or \'.\'');
+    }
+    if (documents.length === 0) {
+      return [];
+    }
+    var result = {};
+    result[field] = documents.length;
+    return [result];
+  },
+
+  $sortByCount: function $sortByCount(documents, expression, context) {
+    var grouped = STAGES.$group(documents, {_id: expression, count: {$sum: 1}}, context);
+    return query.sort(grouped, {count: -1});
+  },
+
+  $replaceRoot: function $replaceRoot(documents, spec, context) {
+    if (!spec || !('newRoot' in spec)) {
+      throw new Error('$replaceRoot requires a newRoot expression');
+    }
+    return STAGES.$replaceWith(documents, spec.newRoot, context);
+  },
+
+  $replaceWith: function $replaceWith(documents, expression, context) {
+    return documents.map(function replace(document) {
+      var root = evaluate(expression, document, context.variables);
+      if (!root || typeof root !== 'object' || _.isArray(root)) {
+        throw new Error('The replacement root must evaluate to an object, got: ' + JSON.stringify(root));
+      }
+      return root;
+    });
+  },
+
+  $facet: function $facet(documents, spec, context) {
+    var names = Object.keys(spec);
+    return Promise.all(names.map(function runFacet(name) {
+      if (!_.isArray(spec[name])) {
+        throw new Error('$facet \'' + name + '\' must be a pipeline array');
+      }
+      return run(documents, spec[name], context);
+    })).then(function mergeFacets(results) {
+      return [_.object(names, results)];
+    });
+  },
+
+  $lookup: function $lookup(documents, spec, context) {
+    var hasFields = spec.localField !== undefined || spec.foreignField !== undefined;
+    return foreignDocuments(spec.from, context).then(function join(foreign) {
+      return Promise.all(documents.map(function lookupDocument(document) {
+        var joined = foreign;
+        if (hasFields) {
+          var localValues = joinValues(util.getPath(document, spec.localField));
+          joined = foreign.filter(function matchesLocal(foreignDocument) {
+            return joinValues(util.getPath(foreignDocument, spec.foreignField)).some(function isJoined(value) {
+              return localValues.some(_.partial(_.isEqual, value));
+            });
+          });
+        }
+        if (!spec.pipeline) {
+          return joined;
+        }
+        var variables = _.extend({}, context.variables);
+        for (var name in spec.let) {
+          variables[name] = evaluate(spec.let[name], document, context.variables);
+        }
+        return run(joined, spec.pipeline, _.extend({}, context, {variables: variables}));
+      })).then(function setJoined(results) {
+        return documents.map(function withJoined(document, index) {
+          var result = util.deepClone(document);
+          util.setPath(result, spec.as, util.deepClone(results[index]));
+          return result;
+        });
+      });
+    });
+  }
+};
+
+/**
+ * Accumulators used by $group, each one receives the values of the accumulated expression for every document
+ */
+var ACCUMULATORS = {
+
+  $sum: function $sum(values) {
+    return values.reduce(function sum(total, value) {
+      return typeof value === 'number' ? total + value : total;
+    }, 0);
+  },
+
+  $avg: function $avg(values) {
+    var numbers = values.filter(function isNumber(value) {
+      return typeof value === 'number';
+    });
+    return numbers.length ? ACCUMULATORS.$sum(numbers) / numbers.length : null;
+  },
+
+  $min: function $min(values) {
+    return extreme(values, -1);
+  },
+
+  $max: function $max(values) {
+    return extreme(values, 1);
+  },
+
+  $push: function $push(values) {
+    return values.filter(function isDefined(value) {
+      return value !== undefined;
+    });
+  },
+
+  $addToSet: function $addToSet(values) {
+    var set = [];
+    values.forEach(function add(value) {
+      if (value !== undefined && !set.some(_.partial(_.isEqual, value))) {
+        set.push(value);
+      }
+    });
+    return set;
+  },
+
+  $first: function $first(values) {
+    return values.length ? nullIfUndefined(values[0]) : null;
+  },
+
+  $last: function $last(values) {
+    return values.length ? nullIfUndefined(values[values.length - 1]) : null;
+  },
+
+  $count: function $count(values) {
+    return values.length;
+  }
+};
+
+/**
+ * Expression operators, each one receives its (not yet evaluated) arguments, the current document and the variables
+ */
+var EXPRESSIONS = {
+
+  $literal: function $literal(value) {
+    return value;
+  },
+
+  // arithmetic
+  $add: function $add(args, document, variables) {
+    var values = evaluateArgs(args, document, variables);
+    if (values.some(isNil)) {
+      return null;
+    }
+    var date = _.find(values, _.isDate);
+    var total = values.reduce(function add(sum, value) {
+      return sum + (_.isDate(value) ? value.getTime() : value);
+    }, 0);
+    return date ? new Date(total) : total;
+  },
+  $subtract: binary(function subtract(a, b) {
+    if (_.isDate(a) && _.isDate(b)) {
+      return a.getTime() - b.getTime();
+    }
+    if (_.isDate(a)) {
+      return new Date(a.getTime() - b);
+    }
+    return a - b;
+  }),
+  $multiply: function $multiply(args, document, variables) {
+    var values = evaluateArgs(args, document, variables);
+    return values.some(isNil) ? null : values.reduce(function multiply(product, value) {
+      return product * value;
+    }, 1);
+  },
+  $divide: binary(function divide(a, b) {
+    if (b === 0) {
+      throw new Error('$divide by zero');
+    }
+    return a / b;
+  }),
+  $mod: binary(function mod(a, b) {
+    return a % b;
+  }),
+  $abs: unary(Math.abs),
+  $ceil: unary(Math.ceil),
+  $floor: unary(Math.floor),
+  $round: function $round(args, document, variables) {
+    var values = evaluateArgs(args, document, variables);
+    if (isNil(values[0])) {
+      return null;
+    }
+    var factor = Math.pow(10, values[1] || 0);
+    return Math.round(values[0] * factor) / factor;
+  },
+
+  // comparison
+  $eq: comparison(function eq(result) {
+    return result === 0;
+  }),
+  $ne: comparison(function ne(result) {
+    return result !== 0;
+  }),
+  $gt: comparison(function gt(result) {
+    return result > 0;
+  }),
+  $gte: comparison(function gte(result) {
+    return result >= 0;
+  }),
+  $lt: comparison(function lt(result) {
+    return result < 0;
+  }),
+  $lte: comparison(function lte(result) {
+    return result <= 0;
+  }),
+  $cmp: comparison(function cmp(result) {
+    return result;
+  }),
+
+  // boolean
+  $and: function $and(args, document, variables) {
+    return evaluateArgs(args, document, variables).every(truthy);
+  },
+  $or: function $or(args, document, variables) {
+    return evaluateArgs(args, document, variables).some(truthy);
+  },
+  $not: function $not(args, document, variables) {
+    return !truthy(evaluateArgs(args, document, variables)[0]);
+  },
+
+  // conditional
+  $cond: function $cond(args, document, variables) {
+    if (!_.isArray(args)) {
+      args = [args.if, args.then, args.else];
+    }
+    return truthy(evaluate(args[0], document, variables)) ?
+      evaluate(args[1], document, variables) : evaluate(args[2], document, variables);
+  },
+  $ifNull: function $ifNull(args, document, variables) {
+    var value = evaluate(args[0], document, variables);
+    return isNil(value) ? evaluate(args[1], document, variables) : value;
+  },
+  $switch: function $switch(args, document, variables) {
+    var branch = _.find(args.branches || [], function matches(candidate) {
+      return truthy(evaluate(candidate.case, document, variables));
+    });
+    if (branch) {
+      return evaluate(branch.then, document, variables);
+    }
+    if (!('default' in args)) {
+      throw new Error('$switch could not find a matching branch and no default was specified');
+    }
+    return evaluate(args.default, document, variables);
+  },
+
+  // string
+  $concat: function $concat(args, document, variables) {
+    var values = evaluateArgs(args, document, variables);
+    return values.some(isNil) ? null : values.join('');
+  },
+  $toLower: unary(function toLower(value) {
+    return String(value).toLowerCase();
+  }, ''),
+  $toUpper: unary(function toUpper(value) {
+    return String(value).toUpperCase();
+  }, ''),
+  $trim: function $trim(args, document, variables) {
+    var value = evaluate(args.input, document, variables);
+    return isNil(value) ? null : String(value).trim();
+  },
+  $substr: function $substr(args, document, variables) {
+    var values = evaluateArgs(args, document, variables);
+    var value = isNil(values[0]) ? '' : String(values[0]);
+    return values[2] < 0 ? value.substr(values[1]) : value.substr(values[1], values[2]);
+  },
+  $substrCP: function $substrCP(args, document, variables) {
+    return EXPRESSIONS.$substr(args, document, variables);
+  },
+  $split: binary(function split(value, delimiter) {
+    return String(value).split(delimiter);
+  }),
+  $strLenCP: unary(function strLen(value) {
+    return String(value).length;
+  }),
+  $toString: unary(function toString(value) {
+    return _.isDate(value) ? value.toISOString() : String(value);
+  }),
+  $toDate: unary(toDate),
+
+  // array
+  $size: function $size(args, document, variables) {
+    var value = evaluateArgs(args, document, variables)[0];
+    if (!_.isArray(value)) {
+      throw new Error('The argument to $size must be an array');
+    }
+    return value.length;
+  },
+  $arrayElemAt: binary(function arrayElemAt(array, index) {
+    return array[index < 0 ? array.length + index : index];
+  }),
+  $in: function $in(args, document, variables) {
+    var values = evaluateArgs(args, document, variables);
+    if (!_.isArray(values[1])) {
+      throw new Error('$in requires an array as a second argument');
+    }
+    return values[1].some(_.partial(_.isEqual, values[0]));
+  },
+  $isArray: function $isArray(args, document, variables) {
+    return _.isArray(evaluateArgs(args, document, variables)[0]);
+  },
+  $concatArrays: function $concatArrays(args, document, variables) {
+    var values = evaluateArgs(args, document, variables);
+    return values.some(isNil) ? null : Array.prototype.concat.apply([], values);
+  },
+  $slice: function $slice(args, document, variables) {
+    var values = evaluateArgs(args, document, variables);
+    if (isNil(values[0])) {
+      return null;
+    }
+    if (values.length === 2) {
+      return values[1] < 0 ? values[0].slice(values[1]) : values[0].slice(0, values[1]);
+    }
+    var start = values[1] < 0 ? Math.max(values[0].length + values[1], 0) : values[1];
+    return values[0].slice(start, start + values[2]);
+  },
+  $filter: function $filter(args, document, variables) {
+    var input = evaluate(args.input, document, variables);
+    if (isNil(input)) {
+      return null;
+    }
+    var name = args.as || 'this';
+    return input.filter(function filter(element) {
+      return truthy(evaluate(args.cond, document, withVariable(variables, name, element)));
+    });
+  },
+  $map: function $map(args, document, variables) {
+    var input = evaluate(args.input, document, variables);
+    if (isNil(input)) {
+      return null;
+    }
+    var name = args.as || 'this';
+    return input.map(function map(element) {
+      return evaluate(args.in, document, withVariable(variables, name, element));
+    });
+  },
+  $first: unary(function first(array) {
+    return array[0];
+  }),
+  $last: unary(function last(array) {
+    return array[array.length - 1];
+  }),
+
+  // accumulators used as expressions, i.e. {$sum: ['$a', '$b']} or {$sum: '$array'}
+  $sum: arrayAccumulator(ACCUMULATORS.$sum),
+  $avg: arrayAccumulator(ACCUMULATORS.$avg),
+  $min: arrayAccumulator(ACCUMULATORS.$min),
+  $max: arrayAccumulator(ACCUMULATORS.$max),
+
+  // dates
+  $year: datePart(function year(date) {
+    return date.getUTCFullYear();
+  }),
+  $month: datePart(function month(date) {
+    return date.getUTCMonth() + 1;
+  }),
+  $dayOfMonth: datePart(function dayOfMonth(date) {
+    return date.getUTCDate();
+  }),
+  $dayOfWeek: datePart(function dayOfWeek(date) {
+    return date.getUTCDay() + 1;
+  }),
+  $hour: datePart(function hour(date) {
+    return date.getUTCHours();
+  }),
+  $minute: datePart(function minute(date) {
+    return date.getUTCMinutes();
+  }),
+  $second: datePart(function second(date) {
+    return date.getUTCSeconds();
+  }),
+  $dateToString: function $dateToString(args, document, variables) {
+    var date = toDate(evaluate(args.date, document, variables));
+    if (isNil(date)) {
+      return null;
+    }
+    var iso = date.toISOString();
+    var parts = {
+      '%Y': iso.substr(0, 4),
+      '%m': iso.substr(5, 2),
+      '%d': iso.substr(8, 2),
+      '%H': iso.substr(11, 2),
+      '%M': iso.substr(14, 2),
+      '%S': iso.substr(17, 2),
+      '%L': iso.substr(20, 3),
+      '%%': '%'
+    };
+    return (args.format || '%Y-%m-%dT%H:%M:%S.%LZ').replace(/%[YmdHMSL%]/g, function replacePart(part) {
+      return parts[part];
+    });
+  },
+
+  // objects and variables
+  $mergeObjects: function $mergeObjects(args, document, variables) {
+    var values = evaluateArgs(args, document, variables);
+    return _.extend.apply(_, [{}].concat(values.filter(function isObject(value) {
+      return value && typeof value === 'object';
+    })));
+  },
+  $let: function $let(args, document, variables) {
+    var scoped = _.extend({}, variables);
+    for (var name in args.vars) {
+      scoped[name] = evaluate(args.vars[name], document, variables);
+    }
+    return evaluate(args.in, document, scoped);
+  }
+};
+
+/**
+ * Runs an aggregation pipeline over the documents
+ *
+ * @param documents the documents of the collection
+ * @param pipeline an array of stages, i.e. [{$match: {...}}, {$group: {...}}]
+ * @param {object} context the pipeline context
+ * @param {object} context.db the database, used by $lookup to read the other collections
+ * @param {object} context.variables the variables in scope, i.e. the $lookup let variables
+ * @returns {Promise} resolves with the resulting documents
+ */
+function run(documents, pipeline, context) {
+  context = _.defaults({}, context, {variables: {}});
+  return pipeline.reduce(function chainStage(previous, stage) {
+    return previous.then(function runStage(input) {
+      var name = Object.keys(stage)[0];
+      return STAGES[name](input, stage[name], context);
+    });
+  }, Promise.resolve(documents));
+}
+
+/**
+ * Validates a pipeline without running it
+ *
+ * @param pipeline the pipeline
+ */
+function validate(pipeline) {
+  if (!_.isArray(pipeline)) {
+    throw new Error('Pipeline must be an array of stages');
+  }
+  pipeline.forEach(function validateStage(stage) {
+    var names = stage && typeof stage === 'object' ? Object.keys(stage) : [];
+    if (names.length !== 1) {
+      throw new Error('A pipeline stage specification object must contain exactly one field');
+    }
+    if (!STAGES[names[0]]) {
+      throw new Error('Unrecognized pipeline stage name: ' + names[0]);
+    }
+    if (names[0] === '$facet') {
+      for (var facet in stage.$facet) {
+        validate(stage.$facet[facet]);
+      }
+    }
+    if (names[0] === '$lookup') {
+      validateLookup(stage.$lookup);
+    }
+  });
+}
+
+/**
+ * Evaluates an aggregation expression against a document:
+ * '$field.path' reads a field, '$$variable' reads a variable, {$operator: args} applies an operator,
+ * arrays and objects are evaluated element by element and anything else is a literal.
+ *
+ * @param expression the expression
+ * @param document the current document
+ * @param {object} variables the variables in scope
+ * @returns {*} the value of the expression
+ */
+function evaluate(expression, document, variables) {
+  variables = variables || {};
+  if (typeof expression === 'string' && expression.charAt(0) === '$') {
+    if (expression.charAt(1) === '$') {
+      var segments = expression.slice(2).split('.');
+      var root = segments.shift();
+      var value;
+      if (root === 'ROOT' || root === 'CURRENT') {
+        value = document;
+      } else if (root in variables) {
+        value = variables[root];
+      } else {
+        throw new Error('Use of undefined variable: ' + root);
+      }
+      return segments.length ? fieldPath(value, segments) : value;
+    }
+    return fieldPath(document, expression.slice(1).split('.'));
+  }
+  if (_.isArray(expression)) {
+    return expression.map(function evaluateElement(element) {
+      return evaluate(element, document, variables);
+    });
+  }
+  if (expression && typeof expression === 'object' && !_.isDate(expression)) {
+    var keys = Object.keys(expression);
+    if (keys.length === 1 && keys[0].charAt(0) === '$') {
+      var operator = EXPRESSIONS[keys[0]];
+      if (!operator) {
+        throw new Error('Unrecognized expression operator: ' + keys[0]);
+      }
+      return operator(expression[keys[0]], document, variables);
+    }
+    var result = {};
+    keys.forEach(function evaluateField(key) {
+      result[key] = evaluate(expression[key], document, variables);
+    });
+    return result;
+  }
+  return expression;
+}
+
+/**
+ * Reads a field path, collecting the values of every embedded document when going through arrays
+ */
+function fieldPath(value, segments) {
+  for (var i = 0; i < segments.length; i++) {
+    if (_.isArray(value)) {
+      var rest = segments.slice(i);
+      return value
+        .map(function readElement(element) {
+          return fieldPath(element, rest);
+        })
+        .filter(function isDefined(element) {
+          return element !== undefined;
+        });
+    }
+    if (!value || typeof value !== 'object') {
+      return undefined;
+    }
+    value = value[segments[i]];
+  }
+  return value;
+}
+
+/**
+ * Applies a $project specification: 1 / 0 include or exclude fields, anything else is a computed field.
+ * Computed fields make the projection an inclusion, so they cannot be mixed with exclusions (other than '_id').
+ */
+function projectExpression(document, spec, variables) {
+  if (!spec || typeof spec !== 'object' || Object.keys(spec).length === 0) {
+    throw new Error('$project requires at least one output field');
+  }
+  var projection = {};
+  var computed = {};
+  for (var field in spec) {
+    var value = spec[field];
+    if (value === 0 || value === false || value === 1 || value === true) {
+      projection[field] = value ? 1 : 0;
+    } else {
+      computed[field] = value;
+    }
+  }
+  var result;
+  if (_.isEmpty(computed)) {
+    result = query.project(document, projection);
+  } else {
+    var excludes = _.some(projection, function isExcluded(value, key) {
+      return key !== '_id' && value === 0;
+    });
+    if (excludes) {
+      throw new Error('Invalid $project: cannot mix computed fields with field exclusion');
+    }
+    if (_.isEmpty(_.omit(projection, '_id'))) {
+      result = projection._id === 0 || document._id === undefined ? {} : {_id: document._id};
+    } else {
+      result = query.project(document, projection);
+    }
+    for (var computedField in computed) {
+      util.setPath(result, computedField, evaluate(computed[computedField], document, variables));
+    }
+  }
+  return result;
+}
+
+function accumulateField(field, spec, documents, variables) {
+  var names = spec && typeof spec === 'object' ? Object.keys(spec) : [];
+  if (names.length !== 1 || !ACCUMULATORS[names[0]]) {
+    throw new Error('The field \'' + field + '\' must be an accumulator object, i.e. {$sum: 1}');
+  }
+  var values = documents.map(function evaluateAccumulated(document) {
+    return evaluate(spec[names[0]], document, variables);
+  });
+  return ACCUMULATORS[names[0]](values);
+}
+
+function validateLookup(spec) {
+  if (!spec || typeof spec.from !== 'string' || typeof spec.as !== 'string') {
+    throw new Error('$lookup requires the \'from\' and \'as\' fields');
+  }
+  if ((spec.localField === undefined) !== (spec.foreignField === undefined)) {
+    throw new Error('$lookup requires both or neither of \'localField\' and \'foreignField\'');
+  }
+  if (spec.localField === undefined && spec.pipeline === undefined) {
+    throw new Error('$lookup requires either \'localField\' and \'foreignField\' or a \'pipeline\'');
+  }
+  if (spec.pipeline !== undefined) {
+    validate(spec.pipeline);
+  }
+}
+
+/**
+ * Reads every document of a collection attached to the same database
+ */
+function foreignDocuments(name, context) {
+  var collection = context.db && context.db.collection(name);
+  if (!collection || typeof collection._find !== 'function') {
+    return Promise.reject(new Error('$lookup: collection \'' + name + '\' is not attached to the database'));
+  }
+  return collection._find(undefined, {});
+}
+
+/**
+ * Values used to join documents, arrays join by any of their elements and missing fields join as null
+ */
+function joinValues(value) {
+  if (value === undefined) {
+    return [null];
+  }
+  return _.isArray(value) ? [value].concat(value) : [value];
+}
+
+function extreme(values, direction) {
+  var result = null;
+  values.forEach(function compareValue(value) {
+    if (!isNil(value) && (result === null || util.compare(value, result) * direction > 0)) {
+      result = value;
+    }
+  });
+  return result;
+}
+
+function evaluateArgs(args, document, variables) {
+  var values = evaluate(args, document, variables);
+  return _.isArray(args) ? values : [values];
+}
+
+/**
+ * Wraps a single argument operator, null or missing arguments evaluate to nilValue (defaults to null)
+ */
+function unary(fn, nilValue) {
+  return function unaryOperator(args, document, variables) {
+    var value = evaluateArgs(args, document, variables)[0];
+    if (isNil(value)) {
+      return nilValue === undefined ? null : nilValue;
+    }
+    return fn(value);
+  };
+}
+
+function binary(fn) {
+  return function binaryOperator(args, document, variables) {
+    var values = evaluateArgs(args, document, variables);
+    if (values.length !== 2) {
+      throw new Error('Expression expects exactly 2 arguments');
+    }
+    return isNil(values[0]) || isNil(values[1]) ? null : fn(values[0], values[1]);
+  };
+}
+
+function comparison(fn) {
+  return function comparisonOperator(args, document, variables) {
+    var values = evaluateArgs(args, document, variables);
+    return fn(util.compare(values[0], values[1]));
+  };
+}
+
+function arrayAccumulator(accumulator) {
+  return function accumulatorOperator(args, document, variables) {
+    var values = evaluate(args, document, variables);
+    return accumulator(_.isArray(values) ? values : [values]);
+  };
+}
+
+function datePart(fn) {
+  return unary(function part(value) {
+    return fn(toDate(value));
+  });
+}
+
+function toDate(value) {
+  if (isNil(value) || _.isDate(value)) {
+    return value;
+  }
+  var date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error('Cannot convert \'' + value + '\' to a date');
+  }
+  return date;
+}
+
+function withVariable(variables, name, value) {
+  var scoped = _.extend({}, variables);
+  scoped[name] = value;
+  return scoped;
+}
+
+function assertCount(stage, value) {
+  if (typeof value !== 'number' || value < 0 || value % 1 !== 0) {
+    throw new Error(stage + ' must be a non-negative integer');
+  }
+}
+
+function truthy(value) {
+  return !(value === false || value === null || value === undefined || value === 0);
+}
+
+function isNil(value) {
+  return value === null || value === undefined;
+}
+
+function nullIfUndefined(value) {
+  return value === undefined ? null : value;
+}
+
+module.exports.run = run;
+module.exports.validate = validate;
+module.exports.evaluate = evaluate;
@@ -27,9 +27,14 @@
 require("babel-polyfill");
 
 var util = require('./util');
-var async = require('async');
 var _ = require('underscore');
 var DataHandler = require('./dataHandler');
+var updateOperators = require('./update');
+var query = require('./query');
+var Cursor = require('./cursor');
+var aggregation = require('./aggregate');
+var Indexes = require('./indexes');
+var FieldEncryption = require('./fieldEncryption');
 var matchCriteria = require('json-criteria-ext').test;
 
 /**
@@ -39,82 +44,274 @@ var matchCriteria = require('json-criteria-ext').test;
  * @param {object} options
  * @param {string} options.db the database object
  * @param {string} options.file the path of the collections
+ * @param {string} options.path the database path, given to the data driver
+ * @param {string} options.name the collection name
+ * @param {string} options.format the format of the collection file, one of ['json', 'ndjson']
+ * @param {object} options.encryptedFields the fields encrypted with options.db._db._fieldEncryption.key,
+ *                 i.e. {ssn: 'deterministic', 'card.number': 'random'}
  * @constructor
  */
 function Collection(options) {
   options = options || {};
+  this._db = options.db;
+  this._name = options.name;
   this._dataHandler = new DataHandler(options);
+  this._indexes = new Indexes({
+    file: options.file && util.fileSystem.basePath(options.file) + '.indexes.json',
+    collection: options.name,
+    writeConcern: options.db && options.db._db._writeConcern,
+    encryption: options.db && options.db._db._encryption
+  });
+  this._fields = new FieldEncryption({
+    collection: options.name,
+    fields: options.encryptedFields,
+    key: options.db && options.db._db._fieldEncryption && options.db._db._fieldEncryption.key
+  });
 }
 
 /**
  * Filters the collection using mongodb criteria
+ * Returns a Cursor that can be refined (sort, skip, limit, project) before being consumed (toArray, forEach, next...).
+ * The Cursor is thenable, awaiting it resolves with the matched documents.
  *
  * @param criteria the criteria to match
  * @param {object} options
- * @param {boolean} options.multi returns multiple if matches
+ * @param {boolean} options.multi returns multiple if matches, defaults to true
+ * @param {object} options.sort sort specification, i.e. {age: -1, 'profile.name': 1}
+ * @param {number} options.skip number of matched documents to skip
+ * @param {number} options.limit maximum number of documents to return, 0 means no limit
+ * @param {object} options.projection fields to include ({name: 1}) or exclude ({token: 0}), supports $slice and $elemMatch
+ * @param {object|Array} options.populate replaces stored _id references with the referenced documents,
+ *                       i.e. {path: 'author', collection: 'Users'} or an array of them
+ * @returns {Cursor}
  */
 Collection.prototype.find = function find(criteria, options) {
+  if (typeof options === 'function') {
+    options = undefined;
+  }
+  if (typeof criteria === 'function' || (criteria && Object.keys(criteria).length == 0)) {
+    criteria = undefined;
+  }
+  return new Cursor(this, criteria, _.defaults({}, options, {
+    multi: true
+  }));
+};
+
+/**
+ * Executes a find, used by the Cursor
+ *
+ * @param criteria the criteria to match
+ * @param {object} options the find options
+ * @returns {Promise} resolves with the array of matched documents
+ */
+Collection.prototype._find = function _find(criteria, options) {
   return new Promise((resolve, reject) => {
-    if (typeof options === 'function') {
-      options = undefined;
+    try {
+      validateFindOptions(options);
+    } catch (error) {
+      return reject(error);
     }
-    if (!options) {
-      options = {
-        multi: true
-      };
+    var self = this;
+    var skip = options.skip || 0;
+    // without sorting we can stop as soon as we have enough matches
+    var wanted = !options.sort && options.limit ? skip + options.limit : Infinity;
+    var storedCriteria;
+    try {
+      storedCriteria = self._fields.encryptCriteria(criteria);
+    } catch (error) {
+      return reject(error);
     }
-    if (typeof criteria === 'function' || (criteria && Object.keys(criteria).length == 0)) {
-      criteria = undefined;
+    self._match(storedCriteria, wanted, function afterMatch(err, filteredDocuments) {
+      if (err) {
+        return reject(err);
+      }
+      try {
+        var foundDocuments = applyFindOptions(self._fields.decrypt(filteredDocuments), options);
+        if (!options.populate) {
+          return resolve(foundDocuments);
+        }
+        populate(self._db, foundDocuments, options.populate)
+          .then(resolve)
+          .catch(reject);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+};
+
+/**
+ * Collects copies of the documents matching the criteria, stopping once enough of them were found.
+ * The documents are read at once when an index applies, the index finding the candidates,
+ * otherwise the collection file is streamed when the driver supports it.
+ *
+ * @param criteria the criteria to match
+ * @param {number} wanted the number of documents wanted, Infinity for all of them
+ * @param callback executes the callback with the signature (err, documents)
+ */
+Collection.prototype._match = function _match(criteria, wanted, callback) {
+  var self = this;
+  var reader = !self._indexes.applies(criteria) && self._dataHandler.openReader({filter: matcher(criteria)});
+  if (reader) {
+    var matchedDocuments = [];
+    return readDocuments(reader, wanted, function collect(documents) {
+      for (var i = 0; i < documents.length; i++) {
+        matchedDocuments.push(documents[i]);
+      }
+    }, function afterRead(err) {
+      reader.close();
+      return callback(err, matchedDocuments);
+    });
+  }
+  self._dataHandler.get(function afterReadFile(err, documents, version) {
+    if (err) {
+      return callback(err);
     }
-    var self = this;
-    self._dataHandler.get(function afterReadFile(err, documents) {
+    var filteredDocuments = [];
+    try {
+      if (!criteria && wanted === Infinity) {
+        filteredDocuments = documents.slice();
+      } else {
+        var candidates = criteria && self._indexes.plan(documents, criteria, version);
+        var total = candidates ? candidates.length : documents.length;
+        for (var i = 0; i < total && filteredDocuments.length < wanted; i++) {
+          var document = documents[candidates ? candidates[i] : i];
+          if (!criteria || matchCriteria(document, criteria)) {
+            filteredDocuments.push(document);
+          }
+        }
+      }
+    } catch (error) {
+      return callback(error);
+    }
+    // the stored documents are handed out as copies, changing a found document must not change the collection (nor its indexes)
+    return callback(undefined, filteredDocuments.map(util.deepClone));
+  });
+};
+
+/**
+ * Counts the documents matching the criteria, used by count and the Cursor.
+ * Streamed collection files are counted without keeping the documents, unless an index applies.
+ *
+ * @param criteria the criteria to match
+ * @param {object} options
+ * @param {number} options.skip number of matched documents to skip
+ * @param {number} options.limit maximum number of documents to count, 0 means no limit
+ * @returns {Promise} resolves with the number of matched documents
+ */
+Collection.prototype._count = function _count(criteria, options) {
+  options = options || {};
+  var reader;
+  try {
+    validateFindOptions(options);
+    var storedCriteria = this._fields.encryptCriteria(criteria);
+    reader = !this._indexes.applies(storedCriteria) && this._dataHandler.openReader({filter: matcher(storedCriteria)});
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  if (!reader) {
+    return this._find(criteria, _.extend({}, options, {multi: true})).then((documents) => documents.length);
+  }
+  return new Promise((resolve, reject) => {
+    var skip = options.skip || 0;
+    var wanted = options.limit ? skip + options.limit : Infinity;
+    var matched = 0;
+    readDocuments(reader, wanted, function countDocuments(documents) {
+      matched += documents.length;
+    }, function afterRead(err) {
+      reader.close();
       if (err) {
         reject(err);
-      } else if (!criteria) {
-        resolve(documents);
       } else {
-        var filteredDocuments = [];
-        async.each(
-          documents,
-          function filter(document, next) {
-            if (matchCriteria(document, criteria)) {
-              if (!options.multi) {
-                return next(document);
-              }
-              filteredDocuments.push(document);
-            }
-            return next();
-          },
-          function afterFiltering(result) {
-            if (_.isError(result)) {
-              reject(result);
-            } else if (result) {
-              resolve(result);
-            } else {
-              resolve(filteredDocuments);
-            }
-          }
-        );
+        resolve(Math.max(Math.min(matched, wanted) - skip, 0));
       }
     });
   });
 };
 
+/**
+ * Opens a stream over the documents matched by an unsorted find, used by the Cursor to read them in batches
+ * without loading the whole collection. Skip, limit, projection and populate are applied to every batch.
+ *
+ * @param criteria the criteria to match
+ * @param {object} options the find options
+ * @returns {object} {next(size), close()}, next resolving with the next batch of documents (an empty one once exhausted),
+ *                   or undefined if the find is sorted, an index applies or the driver cannot stream the collection
+ */
+Collection.prototype._stream = function _stream(criteria, options) {
+  validateFindOptions(options);
+  var storedCriteria = this._fields.encryptCriteria(criteria);
+  var reader = !options.sort && !this._indexes.applies(storedCriteria) && this._dataHandler.openReader({filter: matcher(storedCriteria)});
+  if (!reader) {
+    return undefined;
+  }
+  var self = this;
+  var skip = options.skip || 0;
+  var remaining = options.limit || Infinity;
+  var read = function read(wanted, keep) {
+    return new Promise(function readBatch(resolve, reject) {
+      var batch = [];
+      readDocuments(reader, wanted, function collect(documents) {
+        for (var i = 0; keep && i < documents.length; i++) {
+          batch.push(documents[i]);
+        }
+      }, function afterRead(err) {
+        if (err) {
+          reader.close();
+          reject(err);
+        } else {
+          resolve(batch);
+        }
+      });
+    });
+  };
+  var skipped = skip ? read(skip, false) : Promise.resolve();
+  return {
+    next: function next(size) {
+      return skipped.then(function afterSkip() {
+        if (remaining === 0) {
+          reader.close();
+          return [];
+        }
+        return read(Math.min(size, remaining), true);
+      }).then(function afterRead(documents) {
+        remaining -= documents.length;
+        if (documents.length === 0 || remaining === 0) {
+          reader.close();
+        }
+        documents = applyFindOptions(self._fields.decrypt(documents), {projection: options.projection});
+        return options.populate ? populate(self._db, documents, options.populate) : documents;
+      });
+    },
+    close: function close() {
+      reader.close();
+    }
+  };
+};
+
 /**
  * Filters the collection using mongodb criteria and returns the first matched document
  *
  * @param criteria the criteria to match
+ * @param {object} options
+ * @param {object} options.sort sort specification, the first document after sorting is returned
+ * @param {number} options.skip number of matched documents to skip
+ * @param {object} options.projection fields to include or exclude
+ * @param {object|Array} options.populate replaces stored _id references with the referenced documents
  * @returns {*}
  */
-Collection.prototype.findOne = function findOne(criteria) {
+Collection.prototype.findOne = function findOne(criteria, options) {
   return new Promise((resolve, reject) => {
     if (typeof criteria === 'function' || (criteria && Object.keys(criteria).length == 0)) {
       criteria = undefined;
     }
+    if (typeof options === 'function') {
+      options = undefined;
+    }
     if (!criteria) {
       reject(('No criteria specified!'));
     } else {
-      resolve(this.find(criteria, { multi: false }))
+      resolve(this.find(criteria, _.extend({}, options, { multi: false, limit: undefined })))
     }
   });
 };
@@ -161,6 +358,8 @@ Collection.prototype.findAndModify = function findAndModify(criteria, updateCrit
 };
 /**
  * Inserts a new document in the collection
+ * An _id is generated unless the document already holds one.
+ * Rejects with an E11000 duplicate key error (err.code === 11000) if a unique index is violated.
  *
  * @param data the object to insert
  */
@@ -174,21 +373,26 @@ Collection.prototype.insert = function insert(data) {
     }
     var self = this;
     // generate unique internal id for each document
-    data._id = util.generateUUID();
+    [].concat(data).forEach(assignId);
     self._dataHandler.lock(function afterLockFile(err) {
       if (err) {
-        reject(err);
+        return reject(err);
       }
       self._dataHandler.get(function afterReadFile(err, documents) {
         if (err) {
           self._dataHandler.unlock();
           reject(err);
         } else {
-          documents.push(data);
-          if (_.isArray(data)) {
-            documents = _.flatten(documents);
+          var updatedDocuments;
+          try {
+            // the inserted documents are resolved as they were given, they are only stored with their fields encrypted
+            updatedDocuments = documents.concat(self._fields.encrypt(data));
+            self._indexes.checkUnique(documents, updatedDocuments, _.range(documents.length, updatedDocuments.length));
+          } catch (error) {
+            self._dataHandler.unlock();
+            return reject(error);
           }
-          self._dataHandler.set(documents, function afterWriteFile(err) {
+          self._dataHandler.set(updatedDocuments, function afterWriteFile(err) {
             self._dataHandler.unlock();
             if (err) {
               reject(err);
@@ -204,6 +408,10 @@ Collection.prototype.insert = function insert(data) {
 
 /**
  * Updates documents based on mongodb criteria
+ * The update criteria is either a set of replacement fields ({field: value, 'nested.field': value, other: {$inc: 1}})
+ * or a set of update operators ($set, $unset, $inc, $mul, $min, $max, $rename, $currentDate, $setOnInsert)
+ * and array update operators ($push, $addToSet, $pull, $pullAll, $pop).
+ * Rejects with an E11000 duplicate key error (err.code === 11000) if the updated or upserted documents violate a unique index.
  *
  * @param criteria the criteria to match
  * @param updateCriteria the update criteria
@@ -211,6 +419,7 @@ Collection.prototype.insert = function insert(data) {
  * @param {boolean} options.multi update multiple if matches
  * @param {boolean} options.upsert insert if no matches were found to update
  * @param {boolean} options.retObj true to return the changed object(s), returns an array with one or more match depending on options
+ * @param {Array} options.arrayFilters filters for the $[<identifier>] positional operator, i.e. [{'elem.grade': {$gte: 85}}]
  */
 Collection.prototype.update = function update(criteria, updateCriteria, options) {
   return new Promise((resolve, reject) => {
@@ -234,10 +443,17 @@ Collection.prototype.update = function update(criteria, updateCriteria, options)
       updateCriteria = undefined;
     }
     if (!criteria) {
-      reject('No criteria specified!');
+      return reject('No criteria specified!');
     }
     if (!updateCriteria) {
-      reject('No update criteria specified!');
+      return reject('No update criteria specified!');
+    }
+    var storedCriteria;
+    try {
+      updateOperators.validate(updateCriteria);
+      storedCriteria = this._fields.encryptCriteria(criteria);
+    } catch (error) {
+      return reject(error);
     }
     var ret = {
       nMatched: 0,
@@ -247,97 +463,70 @@ Collection.prototype.update = function update(criteria, updateCriteria, options)
     var self = this;
     self._dataHandler.lock(function afterLockFile(err) {
       if (err) {
-        reject(err);
+        return reject(err);
       }
-      self._dataHandler.get(function afterReadFile(err, documents) {
+      self._dataHandler.get(function afterReadFile(err, documents, version) {
         if (err) {
           self._dataHandler.unlock();
-          reject(err);
-        } else {
-          var matchedDocuments = [];
-          for (var i = 0; i < documents.length; i++) {
-            var document = documents[i];
-            if (matchCriteria(document, criteria)) {
-              for (var propertyName in updateCriteria) {
-                if (updateCriteria[propertyName] instanceof Object) {
-                  if ('$inc' in updateCriteria[propertyName]) {
-                    // Handle $inc operator to increment or decrement the property value
-                    var incValue = updateCriteria[propertyName]['$inc'];
-                    if (typeof document[propertyName] === 'number' && typeof incValue === 'number') {
-                      document[propertyName] += incValue;
-                    } else {
-                      reject((`Cannot increment/decrement non-numeric value or with non-numeric value!::propertyName: ${propertyName} . document[propertyName]: ${document[propertyName]} typeof ${typeof document[propertyName]} .current value: ${incValue}.type ${typeof incValue}`));
-                      return;
-                    }
-                  } else {
-                    // Handle other operators if needed in the future
-                    // For now, we only handle $inc
-                    reject((`Unsupported update operator: ${Object.keys(updateCriteria[propertyName])}`));
-                    return;
-                  }
-                } else {
-                  // Handle regular property updates
-                  document[propertyName] = updateCriteria[propertyName];
-                }
-              }
+          return reject(err);
+        }
+        // an empty criteria updates every document
+        var matchAll = Object.keys(criteria).length === 0;
+        var matchedDocuments = [];
+        var matchedPositions = [];
+        var updatedDocuments = documents.slice();
+        var candidates = !matchAll && self._indexes.plan(documents, storedCriteria, version);
+        var total = candidates ? candidates.length : documents.length;
+        try {
+          for (var position = 0; position < total; position++) {
+            var i = candidates ? candidates[position] : position;
+            if (matchAll || matchCriteria(documents[i], storedCriteria)) {
+              // documents are only replaced once every update succeeded, encrypted fields are updated decrypted
+              var updatedDocument = updateOperators.apply(self._fields.decrypt(documents[i]), updateCriteria, {
+                criteria: criteria,
+                arrayFilters: options.arrayFilters
+              });
+              updatedDocuments[i] = self._fields.encrypt(updatedDocument);
               ret.nModified++;
               ret.nMatched++;
-              matchedDocuments.push(document);
+              matchedDocuments.push(updatedDocument);
+              matchedPositions.push(i);
               if (!options.multi) {
                 break; // Stop after updating the first matched document
               }
             }
           }
-          if (matchedDocuments.length > 0) {
-            self._dataHandler.set(documents, function afterWriteFile(err) {
-              self._dataHandler.unlock();
-              if (err) {
-                reject(err);
-              } else {
-                resolve(options.retObj ? matchedDocuments : ret);
-              }
-            });
-          } else if (!criteria || Object.keys(criteria).length === 0) {
-            // Handle the case when criteria is empty or not provided
-            // Update all documents if criteria is empty
-            var updatedDocuments = documents.map(doc => {
-              for (var propertyName in updateCriteria) {
-                if (updateCriteria[propertyName] instanceof Object && '$inc' in updateCriteria[propertyName]) {
-                  var incValue = updateCriteria[propertyName]['$inc'];
-                  if (typeof doc[propertyName] === 'number' && typeof incValue === 'number') {
-                    doc[propertyName] += incValue;
-                  } else {
-                    reject((`Cannot increment / decrement non - numeric value or with non - numeric value!`));
-                    return;
-                  }
-                } else {
-                  doc[propertyName] = updateCriteria[propertyName];
-                }
-              }
-              return doc;
-            });
-            self._dataHandler.set(updatedDocuments, function afterWriteFile(err) {
-              self._dataHandler.unlock();
-              if (err) {
-                reject(err);
-              } else {
-                ret.nMatched = documents.length;
-                ret.nModified = documents.length;
-                resolve(options.retObj ? updatedDocuments : ret);
-              }
-            });
-          } else {
+          self._indexes.checkUnique(documents, updatedDocuments, matchedPositions);
+        } catch (error) {
+          self._dataHandler.unlock();
+          return reject(error);
+        }
+        if (matchedDocuments.length > 0) {
+          self._dataHandler.set(updatedDocuments, function afterWriteFile(err) {
             self._dataHandler.unlock();
-            if (options.upsert) {
-              self.insert(updateCriteria)
-                .then(() => {
-                  ret.nUpserted = 1;
-                  resolve(options.retObj ? updateCriteria : ret);
-                })
-                .catch((error) => reject(error));
+            if (err) {
+              reject(err);
             } else {
-              resolve(options.retObj ? updateCriteria : ret);
+              resolve(options.retObj ? matchedDocuments : ret);
             }
+          });
+        } else {
+          self._dataHandler.unlock();
+          if (options.upsert) {
+            var upsertDocument;
+            try {
+              upsertDocument = updateOperators.upsertDocument(criteria, updateCriteria);
+            } catch (error) {
+              return reject(error);
+            }
+            self.insert(upsertDocument)
+              .then((insertedDocument) => {
+                ret.nUpserted = 1;
+                resolve(options.retObj ? insertedDocument : ret);
+              })
+              .catch((error) => reject(error));
+          } else {
+            resolve(options.retObj ? updateCriteria : ret);
           }
         }
       });
@@ -365,23 +554,31 @@ Collection.prototype.remove = function remove(criteria, options) {
       criteria = undefined;
     }
     if (!criteria) {
-      reject(('No criteria specified!'));
+      return reject(('No criteria specified!'));
     }
     var self = this;
+    try {
+      criteria = self._fields.encryptCriteria(criteria);
+    } catch (error) {
+      return reject(error);
+    }
     self._dataHandler.lock(function afterLockFile(err) {
       if (err) {
-        reject(err);
+        return reject(err);
       }
-      self._dataHandler.get(function afterReadFile(err, documents) {
+      self._dataHandler.get(function afterReadFile(err, documents, version) {
         if (err) {
           self._dataHandler.unlock();
           reject(err);
         } else {
           var filteredDocuments;
-          if (!criteria || Object.keys(criteria).length === 0) {
-            // Handle the case when criteria is empty or not provided
-            // Remove all documents if criteria is empty
-            filteredDocuments = [];
+          var candidates = self._indexes.plan(documents, criteria, version);
+          if (candidates) {
+            var removed = {};
+            candidates.forEach(function checkCandidate(position) {
+              removed[position] = matchCriteria(documents[position], criteria);
+            });
+            filteredDocuments = documents.filter((document, position) => !removed[position]);
           } else {
             filteredDocuments = documents.filter((document) => !matchCriteria(document, criteria));
           }
@@ -412,25 +609,16 @@ Collection.prototype.count = function count(criteria) {
       criteria = undefined;
     }
     var self = this;
-    if (!criteria) {
-      self._dataHandler.get(function afterReadFile(err, documents) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(documents.length);
-        }
-      });
-    } else {
-      self.find(criteria)
-        .then((filteredDocuments) => resolve(filteredDocuments.length))
-        .catch((error) => reject(error));
-    }
+    self._count(criteria)
+      .then(resolve)
+      .catch(reject);
   });
 };
 // ...
 
 /**
  * Inserts multiple documents into the collection
+ * Rejects with an E11000 duplicate key error (err.code === 11000) if a unique index is violated, nothing is inserted then.
  *
  * @param dataArr An array of objects to insert
  */
@@ -447,13 +635,18 @@ Collection.prototype.insertMany = function insertMany(dataArr) {
       self._dataHandler.get(function afterReadFile(err, documents) {
         if (err) {
           self._dataHandler.unlock();
-          reject(err);
+          return reject(err);
         }
-        dataArr.forEach(function (data) {
-          data._id = util.generateUUID();
-          documents.push(data);
-        });
-        self._dataHandler.set(documents, function afterWriteFile(err) {
+        dataArr.forEach(assignId);
+        var updatedDocuments;
+        try {
+          updatedDocuments = documents.concat(self._fields.encrypt(dataArr));
+          self._indexes.checkUnique(documents, updatedDocuments, _.range(documents.length, updatedDocuments.length));
+        } catch (error) {
+          self._dataHandler.unlock();
+          return reject(error);
+        }
+        self._dataHandler.set(updatedDocuments, function afterWriteFile(err) {
           self._dataHandler.unlock();
           if (err) {
             reject(err);
@@ -478,7 +671,12 @@ Collection.prototype.distinct = function distinct(field) {
     var self = this;
     self._dataHandler.get(function afterReadFile(err, documents) {
       if (err) {
-        reject(err);
+        return reject(err);
+      }
+      try {
+        documents = self._fields.decrypt(documents);
+      } catch (error) {
+        return reject(error);
       }
       var distinctValues = _.chain(documents)
         .map(function (document) {
@@ -492,11 +690,148 @@ Collection.prototype.distinct = function distinct(field) {
   })
 };
 
+/**
+ * Creates an index to speed up queries on the given keys
+ * Index definitions are persisted next to the collection file and loaded again on connect.
+ *
+ * @param keys The index keys, i.e. {email: 1}, {'profile.age': -1, name: 1}
+ * @param {object} options
+ * @param {string} options.name the index name, defaults to 'field_direction' pairs, i.e. 'email_1'
+ * @param {boolean} options.unique rejects inserts and updates duplicating the keys of another document
+ * @param {boolean} options.sparse only indexes the documents holding at least one of the keys
+ * @param {number} options.expireAfterSeconds makes it a TTL index, expired documents are removed by the database sweeper
+ * @returns {Promise} resolves with the index name
+ */
+Collection.prototype.createIndex = function createIndex(keys, options) {
+  return new Promise((resolve, reject) => {
+    var self = this;
+    self._dataHandler.lock(function afterLockFile(err) {
+      if (err) {
+        return reject(err);
+      }
+      self._dataHandler.get(function afterReadFile(err, documents) {
+        if (err) {
+          self._dataHandler.unlock();
+          return reject(err);
+        }
+        self._indexes.create(keys, options, documents, function afterCreate(err, name) {
+          self._dataHandler.unlock();
+          if (err) {
+            reject(err);
+          } else {
+            resolve(name);
+          }
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Drops an index
+ *
+ * @param nameOrKeys The index name or the keys used to create it
+ */
+Collection.prototype.dropIndex = function dropIndex(nameOrKeys) {
+  return new Promise((resolve, reject) => {
+    this._indexes.drop(nameOrKeys, function afterDrop(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(true);
+      }
+    });
+  });
+};
+
+/**
+ * Lists the indexes of the collection, including the implicit '_id_' index
+ *
+ * @returns {Promise} resolves with an array of {name, key} definitions
+ */
+Collection.prototype.listIndexes = function listIndexes() {
+  return Promise.resolve(this._indexes.list());
+};
+
+/**
+ * Removes the documents expired according to the TTL indexes, called by the database sweeper
+ *
+ * @param {Date} now the current date
+ * @returns {Promise} resolves with the number of removed documents
+ */
+Collection.prototype._removeExpired = function _removeExpired(now) {
+  return new Promise((resolve, reject) => {
+    var self = this;
+    if (self._indexes.ttl().length === 0) {
+      return resolve(0);
+    }
+    self._dataHandler.lock(function afterLockFile(err) {
+      if (err) {
+        return reject(err);
+      }
+      self._dataHandler.get(function afterReadFile(err, documents) {
+        if (err) {
+          self._dataHandler.unlock();
+          return reject(err);
+        }
+        var expired = self._indexes.expired(documents, now);
+        if (expired.length === 0) {
+          self._dataHandler.unlock();
+          return resolve(0);
+        }
+        var removed = _.object(expired, expired);
+        var remaining = documents.filter((document, position) => !_.has(removed, position));
+        self._dataHandler.set(remaining, function afterWriteFile(err) {
+          self._dataHandler.unlock();
+          if (err) {
+            reject(err);
+          } else {
+            resolve(expired.length);
+          }
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Runs an aggregation pipeline over the collection
+ * Supports the $match, $project, $addFields ($set), $unset, $group, $sort, $skip, $limit, $unwind, $count,
+ * $sortByCount, $replaceRoot ($replaceWith), $facet and $lookup stages.
+ * $lookup can join any collection attached to the same database.
+ *
+ * @param pipeline An array of stages, i.e. [{$match: {...}}, {$group: {_id: '$field', total: {$sum: 1}}}]
+ */
+Collection.prototype.aggregate = function aggregate(pipeline) {
+  return new Promise((resolve, reject) => {
+    try {
+      aggregation.validate(pipeline);
+    } catch (error) {
+      return reject(error);
+    }
+    var self = this;
+    self._dataHandler.get(function afterReadFile(err, documents) {
+      if (err) {
+        return reject(err);
+      }
+      try {
+        documents = self._fields.decrypt(documents);
+      } catch (error) {
+        return reject(error);
+      }
+      aggregation.run(documents, pipeline, {db: self._db})
+        .then(resolve)
+        .catch(reject);
+    });
+  });
+};
+
 /**
  * Updates the first document that matches the criteria
  *
  * @param criteria The criteria to match
  * @param updateCriteria The update criteria
+ * @param {object} options same options as update, including arrayFilters
  */
 Collection.prototype.updateOne = function updateOne(criteria, updateCriteria, options) {
   return new Promise((resolve, reject) => {
@@ -534,6 +869,7 @@ Collection.prototype.updateOne = function updateOne(criteria, updateCriteria, op
  *
  * @param criteria The criteria to match
  * @param updateCriteria The update criteria
+ * @param {object} options same options as update, including arrayFilters
  */
 Collection.prototype.updateMany = function updateMany(criteria, updateCriteria, options) {
   return new Promise((resolve, reject) => {
@@ -592,6 +928,208 @@ Collection.prototype.deleteMany = function deleteMany(criteria) {
   });
 };
 
+/**
+ * Flushes the changes of the collection to disk, i.e. the changes the memory driver did not flush yet
+ *
+ * @returns {Promise} resolves once the changes are on disk
+ */
+Collection.prototype.flush = function flush() {
+  return new Promise((resolve, reject) => {
+    this._dataHandler.flush(function afterFlush(err) {
+      return err ? reject(err) : resolve();
+    });
+  });
+};
+
+/**
+ * Reads the collection file again, dropping the changes the memory driver did not flush yet,
+ * i.e. to resolve a ConflictError once the file was changed on disk
+ *
+ * @returns {Promise} resolves once the collection holds the documents of its file
+ */
+Collection.prototype.reload = function reload() {
+  return new Promise((resolve, reject) => {
+    this._dataHandler.reload(function afterReload(err) {
+      return err ? reject(err) : resolve();
+    });
+  });
+};
+
+/**
+ * Reports the statistics of the collection: its name (ns) and number of documents (count),
+ * along with the ones of the data driver, i.e. {ns: 'Users', count: 2, dirty: false} with the memory driver
+ *
+ * @returns {Promise} resolves with the statistics
+ */
+Collection.prototype.stats = function stats() {
+  return new Promise((resolve, reject) => {
+    var self = this;
+    self._count(undefined)
+      .then((count) => {
+        self._dataHandler.stats(function afterStats(err, driverStats) {
+          if (err) {
+            return reject(err);
+          }
+          return resolve(_.extend({ns: self._name, count: count}, driverStats));
+        });
+      })
+      .catch(reject);
+  });
+};
+
+// every public method returns a Promise and also accepts a trailing node-style callback, i.e. insert(document, function(err, document){})
+['find', 'findOne', 'findAndModify', 'insert', 'update', 'remove', 'count', 'insertMany', 'distinct', 'createIndex', 'dropIndex',
+  'listIndexes', 'aggregate', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany', 'flush', 'reload', 'stats'].forEach(function addCallback(method) {
+  Collection.prototype[method] = util.withCallback(Collection.prototype[method]);
+});
+
+/**
+ * Generates the internal id of a document about to be inserted, unless it already holds one
+ */
+function assignId(document) {
+  if (document._id === undefined) {
+    document._id = util.generateUUID();
+  }
+}
+
+/**
+ * Validates sort, skip, limit and projection find options
+ *
+ * @param options the find options
+ */
+function validateFindOptions(options) {
+  if (options.sort !== undefined) {
+    query.comparator(options.sort);
+  }
+  ['skip', 'limit'].forEach(function validateNumber(option) {
+    if (options[option] !== undefined && (typeof options[option] !== 'number' || options[option] < 0 || options[option] % 1 !== 0)) {
+      throw new Error('Option \'' + option + '\' must be a non-negative integer');
+    }
+  });
+  if (options.projection !== undefined) {
+    query.validateProjection(options.projection);
+  }
+  if (options.populate !== undefined) {
+    populateSpecs(options.populate).forEach(function validatePopulate(spec) {
+      if (!spec || typeof spec.path !== 'string' || typeof spec.collection !== 'string') {
+        throw new Error('Option \'populate\' expects {path: \'field\', collection: \'Collection\'}');
+      }
+    });
+  }
+}
+
+/**
+ * Builds the filter of the documents matching the criteria, undefined matches every document
+ */
+function matcher(criteria) {
+  if (!criteria) {
+    return undefined;
+  }
+  return function matches(document) {
+    return matchCriteria(document, criteria);
+  };
+}
+
+/**
+ * Reads documents from a reader until the wanted number of them was read or the reader is exhausted
+ *
+ * @param reader the reader, i.e. a DocumentReader
+ * @param {number} wanted the number of documents to read, Infinity to read them all
+ * @param {Function} iteratee receives every batch of documents read
+ * @param callback executes the callback with the signature (err)
+ */
+function readDocuments(reader, wanted, iteratee, callback) {
+  var read = 0;
+  (function readMore() {
+    reader.read(wanted - read, function afterRead(err, documents) {
+      if (err) {
+        return callback(err);
+      }
+      read += documents.length;
+      iteratee(documents);
+      if (documents.length === 0 || read >= wanted) {
+        return callback();
+      }
+      readMore();
+    });
+  })();
+}
+
+function populateSpecs(populate) {
+  return _.isArray(populate) ? populate : [populate];
+}
+
+/**
+ * Replaces the _id references stored in the populate paths with the referenced documents.
+ * References that cannot be found are replaced with null, or removed when stored in an array.
+ *
+ * @param db the database holding the referenced collections
+ * @param documents the found documents
+ * @param specs the populate specification(s), {path, collection} and an optional projection of the referenced documents
+ * @returns {Promise} resolves with populated copies of the documents
+ */
+function populate(db, documents, specs) {
+  documents = documents.map(util.deepClone);
+  return populateSpecs(specs).reduce(function populatePath(previous, spec) {
+    return previous.then(function afterPrevious() {
+      var referenced = db && db.collection(spec.collection);
+      if (!referenced || typeof referenced._find !== 'function') {
+        throw new Error('Cannot populate \'' + spec.path + '\': collection \'' + spec.collection + '\' is not attached to the database');
+      }
+      var ids = _.uniq(_.flatten(documents.map(function references(document) {
+        return util.getPath(document, spec.path);
+      })).filter(function isReference(id) {
+        return id !== undefined && id !== null;
+      }));
+      if (ids.length === 0) {
+        return;
+      }
+      return referenced._find({_id: {$in: ids}}, {projection: spec.projection}).then(function replaceReferences(found) {
+        var byId = _.indexBy(found, '_id');
+        documents.forEach(function replace(document) {
+          var reference = util.getPath(document, spec.path);
+          if (_.isArray(reference)) {
+            util.setPath(document, spec.path, reference
+              .map(function lookup(id) {
+                return byId[id];
+              })
+              .filter(function isFound(referencedDocument) {
+                return referencedDocument !== undefined;
+              }));
+          } else if (reference !== undefined) {
+            util.setPath(document, spec.path, byId[reference] || null);
+          }
+        });
+      });
+    });
+  }, Promise.resolve()).then(function populated() {
+    return documents;
+  });
+}
+
+/**
+ * Applies sort, skip, limit and projection to the matched documents
+ *
+ * @param documents the matched documents
+ * @param options the find options
+ * @returns {Array} the documents
+ */
+function applyFindOptions(documents, options) {
+  if (options.sort) {
+    documents = query.sort(documents, options.sort);
+  }
+  if (options.skip || options.limit) {
+    var skip = options.skip || 0;
+    documents = documents.slice(skip, options.limit ? skip + options.limit : undefined);
+  }
+  if (options.projection) {
+    documents = documents.map(function project(document) {
+      return query.project(document, options.projection);
+    });
+  }
+  return documents;
+}
+
 // ...
 
 module.exports = Collection;
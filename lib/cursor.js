@@ -0,0 +1,328 @@
+/**
+ * (C) Copyright 2026 Manuel Martins.
+ *
+ * This module is inspired by json_file_system.
+ * (json_file_system is Copyright (c) 2014 Jalal Hejazi,
+ *  Licensed under the MIT license.)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * Created by: ManuelMartins
+ * Created on: 19-10-2026
+ *
+ */
+
+'use strict';
+
+var _ = require('underscore');
+
+var DEFAULT_BATCH_SIZE = 1000;
+
+/**
+ * Defines a Cursor over the documents matched by a find.
+ * The query is only executed by the first terminal method (toArray, forEach, next, hasNext, then...),
+ * until then it can be refined with the chainable methods (sort, skip, limit, project, populate, batchSize, map).
+ * A Cursor is thenable, so 'await collection.find(criteria)' resolves as before.
+ * Unsorted finds over a streamed collection file (disk driver) read the documents in batches of batchSize,
+ * the other ones read every matched document on execution.
+ *
+ * @param {object} collection the collection to query
+ * @param criteria the criteria to match
+ * @param {object} options the find options
+ * @constructor
+ */
+function Cursor(collection, criteria, options) {
+  this._collection = collection;
+  this._criteria = criteria;
+  this._options = _.extend({}, options);
+  this._transforms = [];
+  this._documents = undefined;
+  this._position = 0;
+  this._execution = undefined;
+  // the result of the first then, every later then resolves with it
+  this._result = undefined;
+  // the stream of batches, while it is not exhausted
+  this._batches = undefined;
+}
+
+/**
+ * Sets the sort specification
+ *
+ * @param spec the sort specification, i.e. {age: -1, name: 1}
+ * @returns {Cursor}
+ */
+Cursor.prototype.sort = function sort(spec) {
+  return this._setOption('sort', spec);
+};
+
+/**
+ * Sets the number of documents to skip
+ *
+ * @param {number} skip
+ * @returns {Cursor}
+ */
+Cursor.prototype.skip = function skip(skip) {
+  return this._setOption('skip', skip);
+};
+
+/**
+ * Sets the maximum number of documents to return
+ *
+ * @param {number} limit
+ * @returns {Cursor}
+ */
+Cursor.prototype.limit = function limit(limit) {
+  return this._setOption('limit', limit);
+};
+
+/**
+ * Sets the projection
+ *
+ * @param projection the projection, i.e. {name: 1} or {token: 0}
+ * @returns {Cursor}
+ */
+Cursor.prototype.project = function project(projection) {
+  return this._setOption('projection', projection);
+};
+
+/**
+ * Sets the number of documents read at once from a streamed collection file, defaults to 1000
+ *
+ * @param {number} batchSize
+ * @returns {Cursor}
+ */
+Cursor.prototype.batchSize = function batchSize(batchSize) {
+  return this._setOption('batchSize', batchSize);
+};
+
+/**
+ * Replaces the _id references stored in a path with the documents they reference, as mongoose does
+ *
+ * @param {string} path the path holding the reference(s), i.e. 'author' or 'comments'
+ * @param {string} collectionName the referenced collection, it must be attached to the same database
+ * @returns {Cursor}
+ */
+Cursor.prototype.populate = function populate(path, collectionName) {
+  var spec = {path: path, collection: collectionName};
+  var current = this._options.populate;
+  return this._setOption('populate', current ? [].concat(current, spec) : spec);
+};
+
+/**
+ * Maps every document returned by this cursor, as the MongoDB driver does.
+ * Transforms are applied in the order they were added.
+ *
+ * @param {Function} transform receives the document and returns the value to be returned by the cursor
+ * @returns {Cursor}
+ */
+Cursor.prototype.map = function map(transform) {
+  if (typeof transform !== 'function') {
+    throw new Error('Cursor map expects a function');
+  }
+  this._assertNotExecuted();
+  this._transforms.push(transform);
+  return this;
+};
+
+/**
+ * Returns the remaining documents
+ *
+ * @returns {Promise} resolves with an array of documents
+ */
+Cursor.prototype.toArray = function toArray() {
+  var documents = [];
+  var collect = () => this._fill().then(() => {
+    if (this._position >= this._documents.length) {
+      return documents;
+    }
+    while (this._position < this._documents.length) {
+      documents.push(this._transform(this._documents[this._position++]));
+    }
+    return collect();
+  });
+  return collect();
+};
+
+/**
+ * Iterates over the remaining documents, returning false from the iterator stops the iteration
+ *
+ * @param {Function} iterator receives each document
+ * @returns {Promise} resolves once every document was visited
+ */
+Cursor.prototype.forEach = function forEach(iterator) {
+  var iterate = () => this._fill().then(() => {
+    if (this._position >= this._documents.length) {
+      return;
+    }
+    while (this._position < this._documents.length) {
+      if (iterator(this._transform(this._documents[this._position++])) === false) {
+        return this.close();
+      }
+    }
+    return iterate();
+  });
+  return iterate();
+};
+
+/**
+ * Returns the next document
+ *
+ * @returns {Promise} resolves with the next document or null when the cursor is exhausted
+ */
+Cursor.prototype.next = function next() {
+  return this._fill().then(() => {
+    if (this._position >= this._documents.length) {
+      return null;
+    }
+    return this._transform(this._documents[this._position++]);
+  });
+};
+
+/**
+ * Checks if there are documents left
+ *
+ * @returns {Promise} resolves with true if there are documents left
+ */
+Cursor.prototype.hasNext = function hasNext() {
+  return this._fill().then(() => this._position < this._documents.length);
+};
+
+/**
+ * Closes the cursor, releasing the collection file it streams. The cursor is exhausted afterwards.
+ * Cursors close by themselves once exhausted or when a forEach iterator returns false.
+ *
+ * @returns {Promise} resolves once closed
+ */
+Cursor.prototype.close = function close() {
+  if (this._batches) {
+    this._batches.close();
+    this._batches = undefined;
+  }
+  this._execution = this._execution || Promise.resolve();
+  this._documents = [];
+  this._position = 0;
+  return Promise.resolve();
+};
+
+/**
+ * Counts the documents matched by the criteria
+ *
+ * @param {boolean} applySkipLimit true to take skip and limit into account, defaults to false as in MongoDB
+ * @returns {Promise} resolves with the number of matched documents
+ */
+Cursor.prototype.count = function count(applySkipLimit) {
+  var options = {};
+  if (applySkipLimit) {
+    options.skip = this._options.skip;
+    options.limit = this._options.limit;
+  }
+  return this._collection._count(this._criteria, options);
+};
+
+/**
+ * Makes the cursor thenable, resolving with the same value find resolved before cursors existed:
+ * an array of documents, or the first document when options.multi is false.
+ * The documents are read once, awaiting the cursor again resolves with the same value as a promise does.
+ */
+Cursor.prototype.then = function then(onFulfilled, onRejected) {
+  if (!this._result) {
+    this._result = this.toArray().then((documents) => {
+      if (this._options.multi === false) {
+        // keeps returning an empty array when nothing matches
+        return documents.length ? documents[0] : documents;
+      }
+      return documents;
+    });
+  }
+  return this._result.then(onFulfilled, onRejected);
+};
+
+Cursor.prototype.catch = function catchError(onRejected) {
+  return this.then(undefined, onRejected);
+};
+
+/**
+ * Allows 'for await (const document of cursor)'
+ */
+Cursor.prototype[Symbol.asyncIterator] = function asyncIterator() {
+  var cursor = this;
+  return {
+    next: function next() {
+      return cursor.next().then(function toIteratorResult(document) {
+        return document === null ? {done: true, value: undefined} : {done: false, value: document};
+      });
+    }
+  };
+};
+
+Cursor.prototype._setOption = function setOption(name, value) {
+  this._assertNotExecuted();
+  this._options[name] = value;
+  return this;
+};
+
+Cursor.prototype._assertNotExecuted = function assertNotExecuted() {
+  if (this._execution) {
+    throw new Error('Cursor is already executing, it cannot be modified');
+  }
+};
+
+Cursor.prototype._transform = function transform(document) {
+  return this._transforms.reduce(function applyTransform(value, transform) {
+    return transform(value);
+  }, document);
+};
+
+Cursor.prototype._execute = function execute() {
+  if (!this._execution) {
+    var options = _.extend({}, this._options, {multi: true});
+    if (this._options.multi === false) {
+      options.limit = 1;
+    }
+    try {
+      this._batches = this._collection._stream(this._criteria, options);
+    } catch (error) {
+      this._execution = Promise.reject(error);
+      return this._execution;
+    }
+    if (this._batches) {
+      this._documents = [];
+      this._execution = Promise.resolve();
+    } else {
+      this._execution = this._collection._find(this._criteria, options).then((documents) => {
+        this._documents = documents;
+      });
+    }
+  }
+  return this._execution;
+};
+
+/**
+ * Reads the next batch once the current one was consumed, resolves once documents are left or the cursor is exhausted
+ */
+Cursor.prototype._fill = function fill() {
+  return this._execute().then(() => {
+    if (!this._batches || this._position < this._documents.length) {
+      return;
+    }
+    return this._batches.next(this._options.batchSize || DEFAULT_BATCH_SIZE).then((documents) => {
+      this._documents = documents;
+      this._position = 0;
+      if (documents.length === 0) {
+        this._batches = undefined;
+      }
+    });
+  });
+};
+
+module.exports = Cursor;
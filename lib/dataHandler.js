@@ -26,30 +26,107 @@
 
 var Memory = require('./memory');
 var Disk = require('./disk');
+var Ephemeral = require('./ephemeral');
+
+function defaultCallback(err) {
+  if (err) {
+    console.log(err);
+  }
+}
+
+var REQUIRED_METHODS = ['get', 'set', 'lock', 'unlock'];
+var OPTIONAL_METHODS = ['close', 'flush', 'stats'];
+
+// the drivers options.driver is resolved with, by name
+var drivers = {
+  memory: Memory,
+  disk: Disk,
+  ephemeral: Ephemeral
+};
+var BUILT_IN_DRIVERS = Object.keys(drivers);
 
 /**
  * Provides the most common I/O operations.
+ * The data driver is options.db._db._driver: the name of a registered driver, constructed for the collection,
+ * or a driver instance used as it is.
  *
  * @param {object} options
  * @param {object} options.db
  * @param {object} options.db._
- * @param {string} options.db._._driver
+ * @param {string|object} options.db._._driver a driver name or a driver instance, defaults to 'disk'
  * @constructor
  */
 function DataHandler(options) {
   options = options || {};
-  var dataHandler = options.db._db._driver || 'disk';
-  switch (dataHandler) {
-    // load the driver to be used just once
-    case 'memory':
-      this.dataHandlerDriver = new Memory(options);
-      break;
-    case 'disk':
-    default:
-      this.dataHandlerDriver = new Disk(options);
+  var name = options.db._db._driver || 'disk';
+  var driver = DataHandler.resolveDriver(name);
+  if (typeof driver === 'function') {
+    driver = new driver(options);
+    // drivers may assign their methods in the constructor, they are checked once constructed
+    checkDriver(name, driver);
   }
+  this.dataHandlerDriver = driver;
 }
 
+/**
+ * Registers a driver, so connect({driver: name}) stores the collections with it.
+ * A driver is constructed for every collection with the options {db, name, path}, the database, the collection name
+ * and options.path, and must implement, on its prototype or in its constructor:
+ *   get(callback) calling back with (err, documents) or (err, documents, version), a version changing whenever the documents do
+ *     keeping the indexes between reads,
+ *   set(documents, callback) calling back with (err) once the documents are stored,
+ *   lock(callback) and unlock(callback), held around every read-modify-write of the collection,
+ * and may implement:
+ *   close(options, callback) releasing the collection, options.flush being false when its changes should be dropped,
+ *   flush(callback) storing the changes it did not store yet,
+ *   stats(callback) calling back with (err, stats), reported by collection.stats.
+ * The database does not create, validate nor recover any file for the collections stored by registered drivers.
+ *
+ * @param {string} name the driver name, the built-in ones ('memory', 'disk', 'ephemeral') cannot be replaced
+ * @param {function} DriverClass the driver constructor
+ * @throws {Error} if the name is taken by a built-in driver or the driver is not a constructor
+ */
+DataHandler.registerDriver = function registerDriver(name, DriverClass) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('The driver name must be a non empty string');
+  }
+  if (BUILT_IN_DRIVERS.indexOf(name) !== -1) {
+    throw new Error('Driver \'' + name + '\' is built-in, it cannot be replaced');
+  }
+  if (typeof DriverClass !== 'function') {
+    throw new Error('Driver \'' + name + '\' must be a constructor');
+  }
+  drivers[name] = DriverClass;
+};
+
+/**
+ * Resolves options.driver to the constructor of a registered driver, or to the driver instance it is
+ *
+ * @param {string|object} driver a driver name or a driver instance
+ * @returns {function|object} the driver constructor or the driver instance
+ * @throws {Error} if no driver is registered with the name or the instance does not implement the required methods
+ */
+DataHandler.resolveDriver = function resolveDriver(driver) {
+  if (typeof driver === 'string') {
+    if (!drivers.hasOwnProperty(driver)) {
+      throw new Error('Option \'driver\' must be one of: ' + Object.keys(drivers).join(', ') + ', or a driver instance');
+    }
+    return drivers[driver];
+  }
+  checkDriver('instance', driver);
+  return driver;
+};
+
+/**
+ * Checks if a driver is one of the built-in drivers storing the collections in files, whose files the database manages
+ *
+ * @param {string|object} driver a driver name or a driver instance
+ * @returns {boolean}
+ */
+DataHandler.isFileDriver = function isFileDriver(driver) {
+  return driver === 'memory' || driver === 'disk';
+};
+
 /**
  * Writes a list of objects to the data driver
  *
@@ -63,12 +140,95 @@ DataHandler.prototype.set = function write(content, callback) {
 /**
  * Reads a list of objects from the data driver
  *
- * @param callback
+ * @param callback executes the callback with the signature (err, documents, version), version being reported by some drivers only
  */
 DataHandler.prototype.get = function read(callback) {
   return this.dataHandlerDriver.get(callback);
 };
 
+/**
+ * Opens a reader streaming the documents, if the data driver supports it (the memory driver does not)
+ *
+ * @param {object} options the reader options, i.e. {filter: matches}
+ * @returns {object} a reader ({read(max, callback), close()}) or undefined
+ */
+DataHandler.prototype.openReader = function openReader(options) {
+  if (typeof this.dataHandlerDriver.openReader !== 'function') {
+    return undefined;
+  }
+  return this.dataHandlerDriver.openReader(options);
+};
+
+/**
+ * Releases the data driver, i.e. stops the memory driver flushes after a last flush
+ *
+ * @param {object} options
+ * @param {boolean} options.flush false to release the data driver without flushing it
+ * @param callback executes the callback with the default signature (err)
+ */
+DataHandler.prototype.close = function close(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  callback = callback || defaultCallback;
+  if (typeof this.dataHandlerDriver.close !== 'function') {
+    return process.nextTick(callback);
+  }
+  return this.dataHandlerDriver.close(options, callback);
+};
+
+/**
+ * Flushes the changes kept by the data driver to disk, i.e. the changes of the memory driver
+ *
+ * @param callback executes the callback with the default signature (err) once the changes are on disk
+ */
+DataHandler.prototype.flush = function flush(callback) {
+  if (typeof this.dataHandlerDriver.flush !== 'function') {
+    return process.nextTick(callback);
+  }
+  return this.dataHandlerDriver.flush(callback);
+};
+
+/**
+ * Reports the statistics of the data driver, if it supports it, i.e. {dirty: true} for the memory driver
+ *
+ * @param callback executes the callback with the signature (err, stats)
+ */
+DataHandler.prototype.stats = function stats(callback) {
+  if (typeof this.dataHandlerDriver.stats !== 'function') {
+    return process.nextTick(function afterStats() {
+      callback(undefined, {});
+    });
+  }
+  return this.dataHandlerDriver.stats(callback);
+};
+
+/**
+ * Reads the documents kept by the data driver again, dropping the changes it did not flush yet (the memory driver does)
+ *
+ * @param callback executes the callback with the default signature (err)
+ */
+DataHandler.prototype.reload = function reload(callback) {
+  if (typeof this.dataHandlerDriver.reload !== 'function') {
+    return process.nextTick(callback);
+  }
+  return this.dataHandlerDriver.reload(callback);
+};
+
+/**
+ * Replaces the documents with the ones the collection was seeded with, if the data driver supports it (the ephemeral driver does)
+ *
+ * @returns {boolean} true if the documents were replaced
+ */
+DataHandler.prototype.reset = function reset() {
+  if (typeof this.dataHandlerDriver.reset !== 'function') {
+    return false;
+  }
+  this.dataHandlerDriver.reset();
+  return true;
+};
+
 /**
  * Locks the data provider
  *
@@ -84,8 +244,26 @@ DataHandler.prototype.lock = function read(callback) {
  * @param callback
  */
 DataHandler.prototype.unlock = function read(callback) {
-  return this.dataHandlerDriver.unlock(callback);
+  // the drivers always get a callback, collections do not wait for the unlock
+  return this.dataHandlerDriver.unlock(callback || defaultCallback);
 };
 
+/**
+ * Throws if a driver does not implement the required methods, or implements an optional one with something else than a function
+ */
+function checkDriver(name, driver) {
+  var missing = REQUIRED_METHODS.filter(function isMissing(method) {
+    return !driver || typeof driver[method] !== 'function';
+  });
+  if (missing.length) {
+    throw new Error('Driver \'' + name + '\' must implement: ' + missing.join(', '));
+  }
+  var invalid = OPTIONAL_METHODS.filter(function isInvalid(method) {
+    return driver[method] !== undefined && typeof driver[method] !== 'function';
+  });
+  if (invalid.length) {
+    throw new Error('Driver \'' + name + '\' must implement ' + invalid.join(', ') + ' as functions');
+  }
+}
 
 module.exports = DataHandler;
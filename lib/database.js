@@ -0,0 +1,770 @@
+/**
+ * (C) Copyright 2026 Manuel Martins.
+ *
+ * This module is inspired by json_file_system.
+ * (json_file_system is Copyright (c) 2014 Jalal Hejazi,
+ *  Licensed under the MIT license.)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * Created by: ManuelMartins
+ * Created on: 19-10-2026
+ *
+ */
+
+
+'use strict';
+
+var os = require('os');
+var path = require('path');
+var EventEmitter = require('events').EventEmitter;
+var _ = require('underscore');
+var async = require('async');
+var Collection = require('./collection');
+var Memory = require('./memory');
+var DataHandler = require('./dataHandler');
+var util = require('./util');
+var integrity = require('./integrity');
+var journal = require('./journal');
+var encryption = require('./encryption');
+var FieldEncryption = require('./fieldEncryption');
+
+var CORRUPTION_HANDLERS = ['repair', 'fail'];
+var FORMATS = ['json', 'ndjson'];
+var COMPRESSIONS = ['gzip', 'brotli'];
+var EXIT_SIGNALS = ['SIGINT', 'SIGTERM'];
+var EPHEMERAL_PATH = ':memory:';
+
+// the databases opened with flushOnExit and not closed yet
+var closedOnExit = [];
+
+/**
+ * Defines a Database.
+ * Holds the options of a connection and its attached collections, returned by collection(name) and set as properties
+ * named after the collections, unless the name is a Database member ('close', 'on'...).
+ * Every Database is independent, a process can open several of them with different paths and drivers.
+ * Emits 'flushError' (err, collectionName) when the memory driver cannot flush a collection (err is a ConflictError
+ * when its watched file was changed meanwhile), 'reload' (collectionName) when it reloads a watched file, and 'close' once closed.
+ *
+ * @param {object} options the connect options, see index.js connect
+ * @constructor
+ * @throws {Error} if an option is invalid
+ */
+function Database(options) {
+  options = options || {};
+  EventEmitter.call(this);
+  if (options.onCorruption !== undefined && CORRUPTION_HANDLERS.indexOf(options.onCorruption) === -1) {
+    throw new Error('Option \'onCorruption\' must be one of: ' + CORRUPTION_HANDLERS.join(', '));
+  }
+  var collectionsOptions = [options].concat(_.values(options.collections));
+  if (_.find(collectionsOptions, function hasInvalidFormat(collectionOptions) {
+    return collectionOptions.format !== undefined && FORMATS.indexOf(collectionOptions.format) === -1;
+  })) {
+    throw new Error('Option \'format\' must be one of: ' + FORMATS.join(', '));
+  }
+  if (_.find(collectionsOptions, function hasInvalidCompression(collectionOptions) {
+    return collectionOptions.compression !== undefined && COMPRESSIONS.indexOf(collectionOptions.compression) === -1;
+  })) {
+    throw new Error('Option \'compression\' must be one of: ' + COMPRESSIONS.join(', '));
+  }
+  var flushStrategy = (options.memory || {}).flushStrategy;
+  if (flushStrategy !== undefined && Memory.FLUSH_STRATEGIES.indexOf(flushStrategy) === -1) {
+    throw new Error('Option \'memory.flushStrategy\' must be one of: ' + Memory.FLUSH_STRATEGIES.join(', '));
+  }
+  var onConflict = (options.memory || {}).onConflict;
+  if (onConflict !== undefined && Memory.CONFLICT_HANDLERS.indexOf(onConflict) === -1) {
+    throw new Error('Option \'memory.onConflict\' must be one of: ' + Memory.CONFLICT_HANDLERS.join(', '));
+  }
+  if (options.driver !== undefined) {
+    // throws on unknown driver names and on instances not implementing the driver methods
+    DataHandler.resolveDriver(options.driver);
+  }
+  var encryptionState = encryption.configure(options.encryption);
+  _.each(options.collections, function validateEncryptedFields(collectionOptions, name) {
+    // throws on unknown algorithms or a missing key, before any collection is attached
+    new FieldEncryption({collection: name, fields: collectionOptions.encryptedFields, key: (options.fieldEncryption || {}).key});
+  });
+  // internal properties
+  this._db = {};
+  this._db._path = options.path || '/tmp/';
+  // the ':memory:' path is a shorthand for the ephemeral driver, which never touches the filesystem
+  this._db._driver = options.path === EPHEMERAL_PATH ? 'ephemeral' : options.driver || 'disk';
+  this._db._memory = options.memory || {flush: false};
+  this._db._disk = options.disk || {journal: false};
+  this._db._ttlInterval = options.ttlInterval || 60000;
+  this._db._writeConcern = options.writeConcern || {fsync: false};
+  this._db._onCorruption = options.onCorruption;
+  this._db._format = options.format || 'json';
+  this._db._compression = options.compression;
+  this._db._encryption = encryptionState;
+  this._db._fieldEncryption = options.fieldEncryption;
+  this._db._collections = options.collections || {};
+  this._db._attached = [];
+  this._db._attachedCollections = {};
+  this._db._flushOnExit = !!options.flushOnExit;
+}
+Database.prototype = Object.create(EventEmitter.prototype);
+Database.prototype.constructor = Database;
+
+/**
+ * Attaches the collections, creating the files of the new ones
+ *
+ * @param {Array} collections the collections names
+ * @param callback executes the callback with the default signature (err, database)
+ */
+Database.prototype._attach = function attach(collections, callback) {
+  var self = this;
+  if (!DataHandler.isFileDriver(self._db._driver)) {
+    return attachDriverCollections(self, collections, callback);
+  }
+  async.waterfall([
+    function validateDatabasePath(next) {
+      util.fileSystem.exists(self._db._path, function afterCheck(exists) {
+        if (!exists) {
+          console.error('Cannot access the following path: %s', self._db._path);
+          return callback(new Error('Cannot access the following path: ' + self._db._path));
+        }
+        return next();
+      });
+    },
+    function attachOrCreateCollections() {
+      self._db._attached = collections;
+      // in parallel initialize each collection
+      async.each(collections, function attachOrCreate(collection, next) {
+        console.log('Collection \'%s\' is about to be attached', collection);
+        var filePath = collectionFile(self, collection);
+        // a write interrupted before its rename leaves a temporary file behind
+        async.series([
+          checkEncryptionKey.bind(undefined, self, filePath),
+          recoverInterruptedWrites.bind(undefined, self, filePath),
+          handleCorruption.bind(undefined, self, collection, filePath),
+          compactJournal.bind(undefined, self, collection, filePath)
+        ], function afterRecover(err) {
+          if (err) {
+            return next(err);
+          }
+          util.fileSystem.exists(filePath, function afterCheck(exists) {
+            if (!exists) {
+              util.fileSystem.write(filePath, [], {
+                format: collectionFormat(self, collection),
+                encryption: self._db._encryption
+              }, function afterWriteFile(err) {
+                // we want to load into memory the file, so we need to create Collection object here
+                if (err) {
+                  return next(err);
+                }
+                console.log('File \'%s\' has been created for Collection \'%s\'', filePath, collection);
+                setCollection(self, collection, createCollection(self, collection, filePath));
+                return next();
+              });
+            } else {
+              // the file exists we're good to go
+              console.log('File \'%s\' has been attached for Collection \'%s\'', filePath, collection);
+              setCollection(self, collection, createCollection(self, collection, filePath));
+              return next();
+            }
+          });
+        });
+      }, function afterAttachOrCreate(err) {
+        if (err) {
+          if (!(err instanceof integrity.CorruptionError) && !(err instanceof encryption.EncryptionError)) {
+            console.error('Collection names must not contain any extension or any character not allowed in a filename.');
+          }
+          return callback(err);
+        } else {
+          console.log('JSON collections database path is %s', self._db._path);
+          startSweeper(self, collections);
+          if (self._db._flushOnExit) {
+            addExitHook(self);
+          }
+          return callback(undefined, self);
+        }
+      });
+    }
+  ]);
+};
+
+/**
+ * Returns an attached collection, also the ones named after a Database member, which are not set as properties
+ *
+ * @param {string} name the collection name
+ * @returns {Collection} the collection, undefined if it is not attached
+ */
+Database.prototype.collection = function collection(name) {
+  return _.has(this._db._attachedCollections, name) ? this._db._attachedCollections[name] : undefined;
+};
+
+/**
+ * Closes the database: stops the removal of expired documents and the memory driver flushes,
+ * flushing the memory driver collections a last time. Closing it again resolves once the first close completes.
+ *
+ * @returns {Promise}
+ */
+Database.prototype.close = function close() {
+  var self = this;
+  if (!self._db._closing) {
+    self._db._closing = new Promise((resolve, reject) => {
+      stopSweeper(self._db);
+      async.each(self._db._attached, function closeCollection(name, next) {
+        if (!self.collection(name)) {
+          return next();
+        }
+        self.collection(name)._dataHandler.close(next);
+      }, function afterClose(err) {
+        // the exit hook keeps listening until the flush completes, the process would be ended meanwhile otherwise
+        removeExitHook(self);
+        if (err) {
+          return reject(err);
+        }
+        self.emit('close');
+        return resolve();
+      });
+    });
+  }
+  return self._db._closing;
+};
+
+/**
+ * Flushes the changes of the attached collections to disk, i.e. the changes the memory driver did not flush yet
+ *
+ * @returns {Promise} resolves once the changes are on disk
+ */
+Database.prototype.flush = function flush() {
+  var self = this;
+  return new Promise((resolve, reject) => {
+    async.each(self._db._attached, function flushCollection(name, next) {
+      if (!self.collection(name)) {
+        return next();
+      }
+      self.collection(name)._dataHandler.flush(next);
+    }, function afterFlush(err) {
+      return err ? reject(err) : resolve();
+    });
+  });
+};
+
+/**
+ * Replaces the documents of the attached collections with the ones they were seeded with, removing every other document.
+ * Only the ephemeral driver supports it, so tests start again from the same documents without touching any file.
+ *
+ * @returns {Promise}
+ */
+Database.prototype.reset = function reset() {
+  var self = this;
+  return new Promise((resolve, reject) => {
+    if (self._db._driver !== 'ephemeral') {
+      return reject(new Error('Only databases using the \'ephemeral\' driver can be reset'));
+    }
+    self._db._attached.forEach(function resetCollection(name) {
+      if (self.collection(name)) {
+        self.collection(name)._dataHandler.reset();
+      }
+    });
+    return resolve();
+  });
+};
+
+/**
+ * Validates the files of a collection, reporting parse errors, entries that are not documents,
+ * missing or duplicated _id, invalid index definitions and documents violating unique indexes
+ *
+ * @param {string} name the collection name
+ * @returns {Promise} resolves with the report {ns, valid, nrecords, nIndexes, errors, warnings}
+ */
+Database.prototype.validate = function validate(name) {
+  var self = this;
+  return new Promise((resolve, reject) => {
+    withCollectionFile(self, name, function validateCollection(filePath, done) {
+      integrity.validate({name: name, file: filePath, encryption: self._db._encryption}, done);
+    }, function afterValidate(err, report) {
+      return err ? reject(err) : resolve(report);
+    });
+  });
+};
+
+/**
+ * Repairs a collection, salvaging every readable document into a fresh collection file.
+ * The original files are kept aside as '<file>.corrupt-<timestamp>' and the collection is attached again.
+ *
+ * @param {string} name the collection name
+ * @returns {Promise} resolves with {ns, nrecords, dropped, quarantined}
+ */
+Database.prototype.repairCollection = function repairCollection(name) {
+  var self = this;
+  return new Promise((resolve, reject) => {
+    withCollectionFile(self, name, function repairCollection(filePath, done) {
+      integrity.repair({
+        name: name,
+        file: filePath,
+        writeConcern: self._db._writeConcern,
+        format: collectionFormat(self, name),
+        encryption: self._db._encryption
+      }, done);
+    }, function afterRepair(err, result) {
+      if (err) {
+        return reject(err);
+      }
+      // the attached collection may hold the documents read before the repair
+      reattachCollection(self, name, collectionFile(self, name));
+      return resolve(result);
+    });
+  });
+};
+
+/**
+ * Migrates a collection between compressed and plain storage, i.e. from 'Users.json' to 'Users.json.gz'.
+ * The journal, if any, is compacted into the migrated file and the collection is attached again.
+ * Collections are attached to their existing file whatever options.compression, so the migrated file is used from then on.
+ *
+ * @param {string} name the collection name
+ * @param {string} compression the target compression, one of ['gzip', 'brotli', 'none']
+ * @returns {Promise} resolves with the path of the migrated collection file
+ */
+Database.prototype.migrateCompression = function migrateCompression(name, compression) {
+  var self = this;
+  return new Promise((resolve, reject) => {
+    if (compression !== 'none' && COMPRESSIONS.indexOf(compression) === -1) {
+      return reject(new Error('Compression must be one of: ' + COMPRESSIONS.concat('none').join(', ')));
+    }
+    withCollectionFile(self, name, function migrateCollection(filePath, done) {
+      var target = path.join(self._db._path, name + '.json' +
+        util.fileSystem.compressionExtension(compression === 'none' ? undefined : compression));
+      if (target === filePath) {
+        return done(undefined, target);
+      }
+      var journalFile = util.fileSystem.basePath(filePath) + '.journal';
+      readCollectionDocuments(self, name, filePath, journalFile, function afterRead(err, documents) {
+        if (err) {
+          return done(err);
+        }
+        var writeOptions = _.extend({}, self._db._writeConcern, {
+          format: collectionFormat(self, name),
+          encryption: self._db._encryption
+        });
+        util.fileSystem.write(target, documents, writeOptions, function afterWrite(err) {
+          if (err) {
+            return done(err);
+          }
+          // the journal is removed last, replaying it over the migrated file gives the same documents
+          async.eachSeries([filePath, journalFile], util.fileSystem.remove, function afterRemove(err) {
+            return done(err, target);
+          });
+        });
+      });
+    }, function afterMigrate(err, target) {
+      if (err) {
+        return reject(err);
+      }
+      reattachCollection(self, name, target);
+      return resolve(target);
+    });
+  });
+};
+
+/**
+ * Rotates the encryption key: the collection, journal and indexes files of the attached collections
+ * are encrypted again with the new key, which is used from then on. A database connected without encryption gets encrypted.
+ * Until the rotation completes, files are decrypted with either key; if it fails, it can be run again.
+ *
+ * @param {Buffer|string} newKey a 32 bytes key, as a Buffer or a hex or base64 string
+ * @returns {Promise}
+ */
+Database.prototype.rotateKey = function rotateKey(newKey) {
+  var self = this;
+  return new Promise((resolve, reject) => {
+    var state = self._db._encryption;
+    try {
+      encryption.useKey(state, newKey);
+    } catch (error) {
+      return reject(error);
+    }
+    async.eachSeries(self._db._attached, function rotateCollection(name, next) {
+      withCollectionFile(self, name, function encryptCollection(filePath, done) {
+        encryptCollectionFiles(self, name, filePath, done);
+      }, next);
+    }, function afterRotate(err) {
+      if (err) {
+        return reject(err);
+      }
+      // the previous keys cannot open any file anymore
+      state.keys = _.pick(state.keys, state.keyId.toString('hex'));
+      state.acceptPlain = false;
+      return resolve();
+    });
+  });
+};
+
+// the database methods returning a Promise also accept a trailing node-style callback
+['close', 'flush', 'reset', 'validate', 'repairCollection', 'migrateCompression', 'rotateKey'].forEach(function addCallback(method) {
+  Database.prototype[method] = util.withCallback(Database.prototype[method]);
+});
+
+/**
+ * Attaches the collections of the drivers which are not storing them in files (the ephemeral and registered drivers),
+ * the database has no file to check or create
+ */
+function attachDriverCollections(database, collections, callback) {
+  if (typeof database._db._driver !== 'string' && collections.length > 1) {
+    return process.nextTick(function afterCheck() {
+      callback(new Error('A driver instance stores a single collection, register its class to attach several collections'));
+    });
+  }
+  database._db._attached = collections;
+  try {
+    collections.forEach(function attach(collection) {
+      setCollection(database, collection, createCollection(database, collection, undefined));
+      console.log('Collection \'%s\' has been attached', collection);
+    });
+  } catch (error) {
+    return process.nextTick(function afterAttach() {
+      callback(error);
+    });
+  }
+  startSweeper(database, collections);
+  if (database._db._flushOnExit) {
+    addExitHook(database);
+  }
+  process.nextTick(function afterAttach() {
+    callback(undefined, database);
+  });
+}
+
+/**
+ * Attaches a Collection to the database, as a property too unless its name is a Database member
+ */
+function setCollection(database, name, collection) {
+  database._db._attachedCollections[name] = collection;
+  if (!(name in database)) {
+    database[name] = collection;
+  }
+}
+
+/**
+ * Returns the format of a collection, options.collections[name].format or the database format
+ */
+function collectionFormat(database, name) {
+  return (database._db._collections[name] || {}).format || database._db._format;
+}
+
+/**
+ * Creates the Collection of a collection file with the options of the collection
+ */
+function createCollection(database, name, filePath) {
+  return new Collection({
+    db: database,
+    file: filePath,
+    path: database._db._path,
+    name: name,
+    format: collectionFormat(database, name),
+    encryptedFields: (database._db._collections[name] || {}).encryptedFields
+  });
+}
+
+/**
+ * Returns the compression of a collection, options.collections[name].compression or the database compression
+ */
+function collectionCompression(database, name) {
+  return (database._db._collections[name] || {}).compression || database._db._compression;
+}
+
+/**
+ * Returns the file of a collection. An existing file is used whatever its compression,
+ * so plain collections keep being attached once a compression is configured, until they are migrated.
+ */
+function collectionFile(database, name) {
+  var files = [collectionCompression(database, name)].concat(undefined, COMPRESSIONS).map(function toFile(compression) {
+    return path.join(database._db._path, name + '.json' + util.fileSystem.compressionExtension(compression));
+  });
+  return _.find(files, util.fileSystem.existsSync) || files[0];
+}
+
+/**
+ * Reads the documents of a collection, through the attached collection (the memory driver may hold unflushed changes)
+ * or from its file with the journal replayed
+ */
+function readCollectionDocuments(database, name, filePath, journalFile, callback) {
+  if (database.collection(name)) {
+    return database.collection(name)._dataHandler.get(callback);
+  }
+  async.parallel([
+    util.fileSystem.read.bind(util.fileSystem, filePath, {encryption: database._db._encryption}),
+    util.fileSystem.readRecords.bind(util.fileSystem, journalFile, {encryption: database._db._encryption})
+  ], function afterRead(err, results) {
+    return callback(err, results && journal.replay(results[0], results[1]));
+  });
+}
+
+/**
+ * Writes the collection, indexes and journal files of a collection again, encrypted with the current key
+ */
+function encryptCollectionFiles(database, name, filePath, callback) {
+  var state = database._db._encryption;
+  var writeOptions = _.extend({}, database._db._writeConcern, {encryption: state});
+  var indexesFile = util.fileSystem.basePath(filePath) + '.indexes.json';
+  var journalFile = util.fileSystem.basePath(filePath) + '.journal';
+  async.series([
+    function encryptCollectionFile(next) {
+      util.fileSystem.read(filePath, {encryption: state}, function afterRead(err, documents) {
+        if (err) {
+          return next(err);
+        }
+        util.fileSystem.write(filePath, documents, _.extend({format: collectionFormat(database, name)}, writeOptions), next);
+      });
+    },
+    function encryptIndexesFile(next) {
+      if (!util.fileSystem.existsSync(indexesFile)) {
+        return next();
+      }
+      util.fileSystem.read(indexesFile, {encryption: state}, function afterRead(err, definitions) {
+        if (err) {
+          return next(err);
+        }
+        util.fileSystem.write(indexesFile, definitions, writeOptions, next);
+      });
+    },
+    function encryptJournal(next) {
+      if (!util.fileSystem.existsSync(journalFile)) {
+        return next();
+      }
+      util.fileSystem.readRecords(journalFile, {encryption: state}, function afterRead(err, records) {
+        if (err) {
+          return next(err);
+        }
+        util.fileSystem.writeRecords(journalFile, records, writeOptions, next);
+      });
+    }
+  ], function afterEncrypt(err) {
+    return callback(err);
+  });
+}
+
+/**
+ * Attaches a collection again, the attached one may hold documents read from the previous files.
+ * The attached Collection itself is kept, so the references taken before keep working with the new files.
+ */
+function reattachCollection(database, name, filePath) {
+  var collection = database.collection(name);
+  if (collection) {
+    collection._dataHandler.close({flush: false});
+    var reattached = createCollection(database, name, filePath);
+    collection._dataHandler = reattached._dataHandler;
+    collection._indexes = reattached._indexes;
+  }
+}
+
+/**
+ * Runs a task on the file of a collection while holding its lock
+ */
+function withCollectionFile(database, name, task, callback) {
+  if (!DataHandler.isFileDriver(database._db._driver)) {
+    return process.nextTick(function afterCheck() {
+      callback(new Error('Collection \'' + name + '\' has no file, it is stored by the ' +
+        (typeof database._db._driver === 'string' ? '\'' + database._db._driver + '\' ' : '') + 'driver'));
+    });
+  }
+  var filePath = collectionFile(database, name);
+  util.fileSystem.exists(filePath, function afterCheck(exists) {
+    if (!exists) {
+      return callback(new Error('Collection \'' + name + '\' does not exist'));
+    }
+    util.fileSystem.lock(filePath, function afterLock(err) {
+      if (err) {
+        return callback(err);
+      }
+      task(filePath, function afterTask(err, result) {
+        util.fileSystem.unlock(filePath, function afterUnlock(unlockErr) {
+          return callback(err || unlockErr, result);
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Validates the files of a collection on connect when options.onCorruption is set,
+ * repairing them or failing with a CorruptionError when they are corrupted
+ */
+function handleCorruption(database, collection, filePath, callback) {
+  if (!database._db._onCorruption || !util.fileSystem.existsSync(filePath)) {
+    return callback();
+  }
+  withCollectionFile(database, collection, function checkCollection(filePath, done) {
+    integrity.validate({name: collection, file: filePath, encryption: database._db._encryption}, function afterValidate(err, report) {
+      if (err || report.valid) {
+        return done(err);
+      }
+      if (database._db._onCorruption === 'fail') {
+        return done(new integrity.CorruptionError(collection, report));
+      }
+      console.error('Collection \'%s\' is corrupted, repairing it: %s', collection, report.errors.join('; '));
+      integrity.repair({
+        name: collection,
+        file: filePath,
+        writeConcern: database._db._writeConcern,
+        format: collectionFormat(database, collection),
+        encryption: database._db._encryption
+      }, done);
+    });
+  }, function afterCheck(err) {
+    return callback(err);
+  });
+}
+
+/**
+ * Fails with an EncryptionError when the collection or indexes file cannot be opened with the encryption key
+ */
+function checkEncryptionKey(database, filePath, callback) {
+  var files = [filePath, util.fileSystem.basePath(filePath) + '.indexes.json'].filter(util.fileSystem.existsSync);
+  async.eachSeries(files, function checkFile(file, next) {
+    util.fileSystem.checkEncryption(file, {encryption: database._db._encryption}, next);
+  }, callback);
+}
+
+/**
+ * Recovers the temporary files left by interrupted writes of a collection file and of its indexes file
+ */
+function recoverInterruptedWrites(database, filePath, callback) {
+  util.fileSystem.lock(filePath, function afterLock(err) {
+    if (err) {
+      return callback(err);
+    }
+    async.eachSeries([filePath, util.fileSystem.basePath(filePath) + '.indexes.json'], function recover(file, next) {
+      util.fileSystem.recover(file, {encryption: database._db._encryption}, function afterRecover(err) {
+        return next(err);
+      });
+    }, function afterRecoverAll(err) {
+      util.fileSystem.unlock(filePath, function afterUnlock(unlockErr) {
+        return callback(err || unlockErr);
+      });
+    });
+  });
+}
+
+/**
+ * Compacts the journal left by a connection in journal mode into the collection file, unless this one journals too:
+ * the other modes only read the collection file, and a later journaled connection would replay the stale records
+ * over the changes written meanwhile
+ */
+function compactJournal(database, name, filePath, callback) {
+  var journalFile = util.fileSystem.basePath(filePath) + '.journal';
+  if ((database._db._driver === 'disk' && database._db._disk.journal) || !util.fileSystem.existsSync(journalFile)) {
+    return process.nextTick(callback);
+  }
+  util.fileSystem.lock(filePath, function afterLock(err) {
+    if (err) {
+      return callback(err);
+    }
+    async.waterfall([
+      readCollectionDocuments.bind(undefined, database, name, filePath, journalFile),
+      function writeCollectionFile(documents, next) {
+        var writeOptions = _.extend({format: collectionFormat(database, name)}, database._db._writeConcern,
+          {encryption: database._db._encryption});
+        util.fileSystem.write(filePath, documents, writeOptions, next);
+      },
+      util.fileSystem.remove.bind(util.fileSystem, journalFile)
+    ], function afterCompact(err) {
+      if (!err) {
+        console.log('Journal \'%s\' has been compacted into \'%s\'', journalFile, filePath);
+      }
+      util.fileSystem.unlock(filePath, function afterUnlock(unlockErr) {
+        return callback(err || unlockErr);
+      });
+    });
+  });
+}
+
+/**
+ * Regularly removes the documents expired according to the TTL indexes of the collections.
+ * A sweep is skipped while the previous one is still running.
+ */
+function startSweeper(database, collections) {
+  var sweeping = false;
+  database._db._sweeper = setInterval(function sweepExpiredDocuments() {
+    if (sweeping) {
+      return;
+    }
+    sweeping = true;
+    var now = new Date();
+    async.eachSeries(collections, function sweepCollection(collection, next) {
+      database.collection(collection)._removeExpired(now)
+        .then((removed) => {
+          if (removed) {
+            console.log('%s expired documents removed from Collection \'%s\'', removed, collection);
+          }
+          next();
+        })
+        .catch((err) => {
+          console.error('Cannot remove the expired documents from Collection \'%s\': %s', collection, err);
+          next();
+        });
+    }, function afterSweep() {
+      sweeping = false;
+    });
+  }, database._db._ttlInterval);
+  // the sweeper alone does not keep the process alive
+  database._db._sweeper.unref();
+}
+
+function stopSweeper(db) {
+  clearInterval(db._sweeper);
+  db._sweeper = undefined;
+}
+
+/**
+ * Closes the database when the process is interrupted (SIGINT, SIGTERM) or about to exit, so the last changes are flushed.
+ * The process listeners are shared by the databases, they listen while one of them has to be closed.
+ */
+function addExitHook(database) {
+  if (closedOnExit.indexOf(database) !== -1) {
+    return;
+  }
+  closedOnExit.push(database);
+  if (closedOnExit.length === 1) {
+    EXIT_SIGNALS.concat('beforeExit').forEach(function listen(event) {
+      process.on(event, closeOnExit);
+    });
+  }
+}
+
+function removeExitHook(database) {
+  var position = closedOnExit.indexOf(database);
+  if (position === -1) {
+    return;
+  }
+  closedOnExit.splice(position, 1);
+  if (closedOnExit.length === 0) {
+    EXIT_SIGNALS.concat('beforeExit').forEach(function stopListening(event) {
+      process.removeListener(event, closeOnExit);
+    });
+  }
+}
+
+/**
+ * Closes the databases hooked on exit. The interruption is raised again once they are closed,
+ * ending the process as it would have without the hook.
+ */
+function closeOnExit(signal) {
+  Promise.all(closedOnExit.map(function closeDatabase(database) {
+    return database.close().catch(function logError(err) {
+      console.error('Cannot flush the database on exit: %s', err.message);
+    });
+  })).then(function afterClose() {
+    if (EXIT_SIGNALS.indexOf(signal) !== -1) {
+      // the process may end before the signal is delivered again, with the exit code of the signal then
+      process.exitCode = 128 + os.constants.signals[signal];
+      process.kill(process.pid, signal);
+    }
+  });
+}
+
+module.exports = Database;
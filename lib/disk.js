@@ -24,19 +24,43 @@
 
 'use strict';
 
+var async = require('async');
 var util = require('./util');
+var journal = require('./journal');
+var DocumentReader = require('./documentReader');
+var encryption = require('./encryption');
 
 /**
  * Provides disk storage to save data.
+ * In journal mode the changes are appended to a journal file ('<collection>.journal') instead of rewriting
+ * the collection file, reads replay the journal over the collection file (the snapshot),
+ * and the journal is compacted into the snapshot once it holds options.db._db._disk.journalLimit records.
  *
  * @param {object} options
+ * @param {object}  options.db
+ * @param {object}  options.db._db._disk
+ * @param {boolean}  options.db._db._disk.journal
+ * @param {number}  options.db._db._disk.journalLimit
+ * @param {object}  options.db._db._writeConcern
+ * @param {object}  options.db._db._encryption the encryption state of the collection and journal files
  * @param {string}  options.file
+ * @param {string}  options.format the format of the collection file, one of ['json', 'ndjson']
  * @constructor
  */
 function Disk(options) {
   options = options || {};
+  var diskOptions = (options.db && options.db._db && options.db._db._disk) || {};
   this.flushFile = options.file;
-  console.log('Data will be handled using \'Disk\' driver');
+  var writeConcern = (options.db && options.db._db && options.db._db._writeConcern) || {};
+  this.encryption = options.db && options.db._db && options.db._db._encryption;
+  this.writeOptions = {fsync: !!writeConcern.fsync, format: options.format || 'json', encryption: this.encryption};
+  this.readOptions = {encryption: this.encryption};
+  this.journal = !!diskOptions.journal;
+  this.journalFile = util.fileSystem.basePath(options.file) + '.journal';
+  this.journalLimit = diskOptions.journalLimit || 1000;
+  // the documents last read or written in journal mode, along with the signature of the files they came from
+  this._state = undefined;
+  console.log('Data will be handled using \'Disk\' driver%s', this.journal ? ' with a journal' : '');
 }
 
 /**
@@ -46,16 +70,140 @@ function Disk(options) {
  * @param callback
  */
 Disk.prototype.set = function set(content, callback) {
-  return util.fileSystem.write(this.flushFile, content, callback);
+  if (!this.journal) {
+    return util.fileSystem.write(this.flushFile, content, this.writeOptions, callback);
+  }
+  var self = this;
+  var records = self._state && journal.records(self._state.documents, content);
+  if (!records || self._state.records + records.length >= self.journalLimit) {
+    return self.compact(content, callback);
+  }
+  if (records.length === 0) {
+    self._state.documents = content;
+    return process.nextTick(callback);
+  }
+  util.fileSystem.append(self.journalFile, records, self.writeOptions, function afterAppend(err) {
+    if (err) {
+      self._state = undefined;
+      return callback(err);
+    }
+    self._remember(content, self._state.records + records.length, callback);
+  });
 };
 
 /**
- * Reads a list of objects from the data driver
+ * Reads a list of objects from the data driver, along with the signature of the files they were read from
  *
- * @param callback
+ * @param callback executes the callback with the signature (err, documents, version), version changing whenever the files do
  */
 Disk.prototype.get = function get(callback) {
-  return util.fileSystem.read(this.flushFile, callback);
+  var self = this;
+  if (!self.journal) {
+    // taken before reading, the documents read are never older than the signature reported as their version
+    return util.fileSystem.signature(self.flushFile, function afterSignature(err, signature) {
+      if (err) {
+        return callback(err);
+      }
+      util.fileSystem.read(self.flushFile, self.readOptions, function afterRead(err, documents) {
+        return err ? callback(err) : callback(undefined, documents, signature);
+      });
+    });
+  }
+  self._signature(function afterSignature(err, signature) {
+    if (err) {
+      return callback(err);
+    }
+    if (self._state && self._state.signature === signature) {
+      return callback(undefined, self._state.documents, signature);
+    }
+    async.parallel([
+      util.fileSystem.read.bind(util.fileSystem, self.flushFile, self.readOptions),
+      util.fileSystem.readRecords.bind(util.fileSystem, self.journalFile, self.readOptions)
+    ], function afterRead(err, results) {
+      if (err) {
+        return callback(err);
+      }
+      var documents = journal.replay(results[0], results[1]);
+      self._state = {documents: documents, records: results[1].length, signature: signature};
+      return callback(undefined, documents, signature);
+    });
+  });
+};
+
+/**
+ * Opens a reader streaming the documents of the collection file, so finds can stop reading once they have enough matches.
+ * Collection files are replaced atomically, a reader keeps reading the version it opened.
+ * Returns undefined in journal mode, the journal has to be replayed over the whole collection file,
+ * and for encrypted files, which cannot be authenticated before being read entirely.
+ *
+ * @param {object} options the DocumentReader options, i.e. {filter: matches}
+ * @returns {DocumentReader}
+ */
+Disk.prototype.openReader = function openReader(options) {
+  if (this.journal || encryption.isEnabled(this.encryption)) {
+    return undefined;
+  }
+  return new DocumentReader(this.flushFile, options);
+};
+
+/**
+ * Writes the documents to the collection file and empties the journal
+ *
+ * @param content the documents to write
+ * @param callback
+ */
+Disk.prototype.compact = function compact(content, callback) {
+  var self = this;
+  util.fileSystem.write(self.flushFile, content, self.writeOptions, function afterWrite(err) {
+    if (err) {
+      self._state = undefined;
+      return callback(err);
+    }
+    // replaying the journal over the new snapshot gives the same documents, an interrupted compaction loses nothing
+    util.fileSystem.remove(self.journalFile, function afterRemove(err) {
+      if (err) {
+        self._state = undefined;
+        return callback(err);
+      }
+      self._remember(content, 0, callback);
+    });
+  });
+};
+
+Disk.prototype._remember = function remember(documents, records, callback) {
+  var self = this;
+  self._signature(function afterSignature(err, signature) {
+    self._state = err ? undefined : {documents: documents, records: records, signature: signature};
+    return callback(err);
+  });
+};
+
+Disk.prototype._signature = function signature(callback) {
+  async.map([this.flushFile, this.journalFile], util.fileSystem.signature, function afterSignatures(err, signatures) {
+    return callback(err, signatures && signatures.join('|'));
+  });
+};
+
+/**
+ * Releases the data provider, nothing is kept open by the disk driver
+ *
+ * @param {object} options unused, every write already reached the file
+ * @param callback executes the callback with the default signature (err)
+ */
+Disk.prototype.close = function close(options, callback) {
+  callback = typeof options === 'function' ? options : callback;
+  if (typeof callback === 'function') {
+    process.nextTick(callback);
+  }
+};
+
+/**
+ * Flushes the changes to disk, every write already reached the file
+ *
+ * @param callback executes the callback with the default signature (err)
+ */
+Disk.prototype.flush = function flush(callback) {
+  process.nextTick(callback);
 };
 
 /**
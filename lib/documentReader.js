@@ -0,0 +1,272 @@
+/**
+ * (C) Copyright 2026 Manuel Martins.
+ *
+ * This module is inspired by json_file_system.
+ * (json_file_system is Copyright (c) 2014 Jalal Hejazi,
+ *  Licensed under the MIT license.)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * Created by: ManuelMartins
+ * Created on: 19-10-2026
+ *
+ */
+
+'use strict';
+
+var util = require('./util');
+
+/**
+ * Reads the documents of a collection file as a stream, without loading the whole file.
+ * Both formats are supported: a JSON array or one document per line (NDJSON), compressed files are decompressed on the fly.
+ * The file is read ahead until options.highWaterMark documents are waiting to be read.
+ *
+ * @param {string} file the collection file
+ * @param {object} options
+ * @param {Function} options.filter only the documents passing the filter are read, i.e. the ones matching a criteria
+ * @param {number} options.highWaterMark the number of documents read ahead, defaults to 1000
+ * @constructor
+ */
+function DocumentReader(file, options) {
+  options = options || {};
+  var self = this;
+  self._filter = options.filter;
+  self._highWaterMark = options.highWaterMark || 1000;
+  self._parser = new DocumentParser();
+  self._queue = [];
+  self._ended = false;
+  self._closed = false;
+  self._error = undefined;
+  self._pending = undefined;
+  self._stream = util.fileSystem.createReadStream(file);
+  self._stream.on('data', function onData(chunk) {
+    if (self._closed) {
+      return;
+    }
+    try {
+      self._enqueue(self._parser.write(chunk));
+    } catch (error) {
+      return self._fail(error);
+    }
+    if (self._queue.length >= self._highWaterMark) {
+      self._stream.pause();
+    }
+    self._deliver();
+  });
+  self._stream.on('end', function onEnd() {
+    if (self._closed) {
+      return;
+    }
+    try {
+      self._enqueue(self._parser.end());
+    } catch (error) {
+      return self._fail(error);
+    }
+    self._ended = true;
+    self._deliver();
+  });
+  self._stream.on('error', function onError(error) {
+    self._fail(error);
+  });
+}
+
+/**
+ * Reads the next documents
+ *
+ * @param {number} max the maximum number of documents to read
+ * @param callback executes the callback with the signature (err, documents), documents is empty once the file was read
+ */
+DocumentReader.prototype.read = function read(max, callback) {
+  if (this._pending) {
+    return callback(new Error('A read is already pending'));
+  }
+  this._pending = {max: max, callback: callback};
+  this._deliver();
+};
+
+/**
+ * Stops reading the file
+ */
+DocumentReader.prototype.close = function close() {
+  this._closed = true;
+  this._ended = true;
+  this._queue = [];
+  this._stream.destroy();
+};
+
+DocumentReader.prototype._enqueue = function enqueue(documents) {
+  for (var i = 0; i < documents.length; i++) {
+    if (!this._filter || this._filter(documents[i])) {
+      this._queue.push(documents[i]);
+    }
+  }
+};
+
+DocumentReader.prototype._deliver = function deliver() {
+  var pending = this._pending;
+  if (!pending || (!this._error && !this._ended && this._queue.length === 0)) {
+    if (pending && this._stream.isPaused()) {
+      this._stream.resume();
+    }
+    return;
+  }
+  this._pending = undefined;
+  if (this._error) {
+    return pending.callback(this._error);
+  }
+  var documents = this._queue.splice(0, pending.max);
+  if (!this._ended && this._queue.length < this._highWaterMark && this._stream.isPaused()) {
+    this._stream.resume();
+  }
+  return pending.callback(undefined, documents);
+};
+
+DocumentReader.prototype._fail = function fail(error) {
+  this._error = error;
+  this._stream.destroy();
+  this._deliver();
+};
+
+/**
+ * Incremental parser of collection files, fed with chunks of the file and returning the documents completed by each chunk
+ */
+function DocumentParser() {
+  this._format = undefined;
+  // JSON array state
+  this._depth = 0;
+  this._inString = false;
+  this._escaped = false;
+  this._inElement = false;
+  this._pieces = [];
+  this._closed = false;
+  // NDJSON state
+  this._line = '';
+  this._lineNumber = 0;
+}
+
+DocumentParser.prototype.write = function write(chunk) {
+  if (!this._format) {
+    var firstCharacter = /\S/.exec(chunk);
+    if (!firstCharacter) {
+      return [];
+    }
+    this._format = chunk.charAt(firstCharacter.index) === '[' ? 'json' : 'ndjson';
+  }
+  return this._format === 'json' ? this._writeArray(chunk) : this._writeLines(chunk);
+};
+
+DocumentParser.prototype.end = function end() {
+  if (this._format === 'json' && !this._closed) {
+    throw new SyntaxError('Unexpected end of JSON input');
+  }
+  if (this._format === 'ndjson' && this._line.trim()) {
+    return [this._parseLine(this._line)];
+  }
+  return [];
+};
+
+DocumentParser.prototype._writeLines = function writeLines(chunk) {
+  var lines = (this._line + chunk).split('\n');
+  this._line = lines.pop();
+  var documents = [];
+  for (var i = 0; i < lines.length; i++) {
+    if (lines[i].trim()) {
+      documents.push(this._parseLine(lines[i]));
+    } else {
+      this._lineNumber++;
+    }
+  }
+  return documents;
+};
+
+DocumentParser.prototype._parseLine = function parseLine(line) {
+  this._lineNumber++;
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    throw new SyntaxError(error.message + ' at line ' + this._lineNumber);
+  }
+};
+
+/**
+ * Scans the top level array, each of its elements is parsed once complete
+ */
+DocumentParser.prototype._writeArray = function writeArray(chunk) {
+  var documents = [];
+  var start = 0;
+  for (var i = 0; i < chunk.length; i++) {
+    var character = chunk.charAt(i);
+    if (this._inString) {
+      if (this._escaped) {
+        this._escaped = false;
+      } else if (character === '\\') {
+        this._escaped = true;
+      } else if (character === '"') {
+        this._inString = false;
+      }
+    } else if (this._depth === 0) {
+      if (character === '[' && !this._closed) {
+        this._depth = 1;
+      } else if (!isWhitespace(character)) {
+        throw new SyntaxError('Unexpected token ' + character + ' in JSON, expected an array');
+      }
+    } else if (this._depth === 1) {
+      if (character === ',' || character === ']') {
+        if (this._inElement) {
+          // a scalar element
+          documents.push(this._element(chunk, start, i));
+        }
+        if (character === ']') {
+          this._depth = 0;
+          this._closed = true;
+        }
+      } else if (!isWhitespace(character)) {
+        if (!this._inElement) {
+          this._inElement = true;
+          start = i;
+        }
+        if (character === '{' || character === '[') {
+          this._depth = 2;
+        } else if (character === '"') {
+          this._inString = true;
+        }
+      }
+    } else if (character === '"') {
+      this._inString = true;
+    } else if (character === '{' || character === '[') {
+      this._depth++;
+    } else if (character === '}' || character === ']') {
+      this._depth--;
+      if (this._depth === 1) {
+        documents.push(this._element(chunk, start, i + 1));
+      }
+    }
+  }
+  if (this._inElement) {
+    this._pieces.push(chunk.slice(start));
+  }
+  return documents;
+};
+
+DocumentParser.prototype._element = function element(chunk, start, end) {
+  var text = this._pieces.join('') + chunk.slice(start, end);
+  this._pieces = [];
+  this._inElement = false;
+  return JSON.parse(text);
+};
+
+function isWhitespace(character) {
+  return character === ' ' || character === '\n' || character === '\r' || character === '\t';
+}
+
+module.exports = DocumentReader;
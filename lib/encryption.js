@@ -0,0 +1,221 @@
+/**
+ * (C) Copyright 2026 Manuel Martins.
+ *
+ * This module is inspired by json_file_system.
+ * (json_file_system is Copyright (c) 2014 Jalal Hejazi,
+ *  Licensed under the MIT license.)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * Created by: ManuelMartins
+ * Created on: 19-10-2026
+ *
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var ALGORITHMS = ['aes-256-gcm'];
+var KEY_LENGTH = 32;
+var IV_LENGTH = 12;
+var TAG_LENGTH = 16;
+var KEY_ID_LENGTH = 8;
+// every encrypted file (and journal record) starts with the magic, a version, the key id, the iv and the authentication tag
+var MAGIC = Buffer.from('JDBENC');
+var VERSION = 1;
+var HEADER_LENGTH = MAGIC.length + 1 + KEY_ID_LENGTH + IV_LENGTH + TAG_LENGTH;
+
+/**
+ * Error raised when a file cannot be decrypted: it is encrypted with another key (or no key was given),
+ * it is not encrypted while a key was given, or it fails authentication (corrupted or tampered with)
+ *
+ * @param {string} message the error message
+ * @param {string} code one of ['ERR_WRONG_KEY', 'ERR_NO_KEY', 'ERR_NOT_ENCRYPTED', 'ERR_AUTHENTICATION']
+ * @constructor
+ */
+function EncryptionError(message, code) {
+  Error.call(this);
+  this.name = 'EncryptionError';
+  this.message = message;
+  this.code = code;
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, EncryptionError);
+  }
+}
+EncryptionError.prototype = Object.create(Error.prototype);
+EncryptionError.prototype.constructor = EncryptionError;
+
+module.exports.EncryptionError = EncryptionError;
+
+module.exports.ALGORITHMS = ALGORITHMS;
+
+module.exports.HEADER_LENGTH = HEADER_LENGTH;
+
+/**
+ * Builds the encryption state of a database from the encryption option.
+ * The state holds every key files may be encrypted with (the key ring), files are always written with the current key.
+ *
+ * @param {object} options
+ * @param {Buffer|string} options.key a 32 bytes key, as a Buffer or a hex or base64 string, undefined for no encryption
+ * @param {string} options.algorithm one of ['aes-256-gcm'], defaults to 'aes-256-gcm'
+ * @returns {object} {algorithm, key, keyId, keys, acceptPlain}
+ */
+module.exports.configure = function configure(options) {
+  options = options || {};
+  var algorithm = options.algorithm || ALGORITHMS[0];
+  if (ALGORITHMS.indexOf(algorithm) === -1) {
+    throw new Error('Option \'encryption.algorithm\' must be one of: ' + ALGORITHMS.join(', '));
+  }
+  var encryption = {algorithm: algorithm, key: undefined, keyId: undefined, keys: {}, acceptPlain: true};
+  if (options.key !== undefined) {
+    module.exports.useKey(encryption, options.key);
+    encryption.acceptPlain = false;
+  }
+  return encryption;
+};
+
+/**
+ * Makes a key the current key of an encryption state, the previous keys can still decrypt files
+ *
+ * @param {object} encryption the encryption state
+ * @param {Buffer|string} key a 32 bytes key, as a Buffer or a hex or base64 string
+ */
+module.exports.useKey = function useKey(encryption, key) {
+  key = parseKey(key);
+  encryption.key = key;
+  encryption.keyId = keyId(key);
+  encryption.keys[encryption.keyId.toString('hex')] = key;
+};
+
+/**
+ * Checks if encryption is enabled
+ *
+ * @param {object} encryption the encryption state
+ * @returns {boolean}
+ */
+module.exports.isEnabled = function isEnabled(encryption) {
+  return !!(encryption && encryption.key);
+};
+
+/**
+ * Encrypts and authenticates a content with the current key, contents are left as they are without key
+ *
+ * @param {Buffer|string} content the content to encrypt
+ * @param {object} encryption the encryption state
+ * @returns {Buffer|string} the encrypted content
+ */
+module.exports.encrypt = function encrypt(content, encryption) {
+  if (!module.exports.isEnabled(encryption)) {
+    return content;
+  }
+  var iv = crypto.randomBytes(IV_LENGTH);
+  var cipher = crypto.createCipheriv(encryption.algorithm, encryption.key, iv);
+  var encrypted = Buffer.concat([cipher.update(content), cipher.final()]);
+  return Buffer.concat([MAGIC, Buffer.from([VERSION]), encryption.keyId, iv, cipher.getAuthTag(), encrypted]);
+};
+
+/**
+ * Authenticates and decrypts a content with the key it was encrypted with
+ *
+ * @param {Buffer} content the content to decrypt
+ * @param {object} encryption the encryption state
+ * @param {string} file the file the content was read from, used in error messages
+ * @returns {Buffer} the decrypted content
+ * @throws {EncryptionError} if the content cannot be decrypted
+ */
+module.exports.decrypt = function decrypt(content, encryption, file) {
+  var key = module.exports.check(content, encryption, file);
+  if (!key) {
+    return content;
+  }
+  if (content.length < HEADER_LENGTH) {
+    throw new EncryptionError('File \'' + file + '\' cannot be decrypted, it is truncated', 'ERR_AUTHENTICATION');
+  }
+  var offset = MAGIC.length + 1 + KEY_ID_LENGTH;
+  var iv = content.slice(offset, offset += IV_LENGTH);
+  var tag = content.slice(offset, offset += TAG_LENGTH);
+  try {
+    var decipher = crypto.createDecipheriv(encryption.algorithm, key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(content.slice(offset)), decipher.final()]);
+  } catch (error) {
+    throw new EncryptionError('File \'' + file + '\' cannot be decrypted, it is corrupted or was tampered with', 'ERR_AUTHENTICATION');
+  }
+};
+
+/**
+ * Checks that a content can be opened with the encryption state, from its header only
+ *
+ * @param {Buffer} content the content, or its first bytes
+ * @param {object} encryption the encryption state
+ * @param {string} file the file the content was read from, used in error messages
+ * @returns {Buffer} the key the content was encrypted with, undefined for plain contents
+ * @throws {EncryptionError} if the content is encrypted with another key (or no key was given),
+ *                           or it is not encrypted while a key was given
+ */
+module.exports.check = function check(content, encryption, file) {
+  if (!module.exports.isEncrypted(content)) {
+    if (module.exports.isEnabled(encryption) && !encryption.acceptPlain) {
+      throw new EncryptionError('File \'' + file + '\' is not encrypted, encrypt it with db.rotateKey', 'ERR_NOT_ENCRYPTED');
+    }
+    return undefined;
+  }
+  if (!module.exports.isEnabled(encryption)) {
+    throw new EncryptionError('File \'' + file + '\' is encrypted, connect with options.encryption.key to open it', 'ERR_NO_KEY');
+  }
+  var offset = MAGIC.length + 1;
+  var key = encryption.keys[content.slice(offset, offset + KEY_ID_LENGTH).toString('hex')];
+  if (!key && content.length >= offset + KEY_ID_LENGTH) {
+    throw new EncryptionError('File \'' + file + '\' is encrypted with another key', 'ERR_WRONG_KEY');
+  }
+  // a header truncated before the key id fails authentication
+  return key || encryption.key;
+};
+
+/**
+ * Checks if a content was encrypted
+ *
+ * @param {Buffer} content
+ * @returns {boolean}
+ */
+module.exports.isEncrypted = function isEncrypted(content) {
+  return Buffer.isBuffer(content) && content.length >= MAGIC.length && content.slice(0, MAGIC.length).equals(MAGIC);
+};
+
+/**
+ * Parses a key given as a Buffer or as a hex or base64 string
+ *
+ * @param {Buffer|string} key the key
+ * @param {string} option the name of the option holding the key, used in error messages, defaults to 'encryption.key'
+ * @returns {Buffer} the 32 bytes key
+ */
+module.exports.parseKey = parseKey;
+
+function parseKey(key, option) {
+  if (typeof key === 'string') {
+    key = /^[0-9a-fA-F]+$/.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+  }
+  if (!Buffer.isBuffer(key) || key.length !== KEY_LENGTH) {
+    throw new Error('Option \'' + (option || 'encryption.key') + '\' must be a ' + KEY_LENGTH +
+      ' bytes key, as a Buffer or a hex or base64 string');
+  }
+  return key;
+}
+
+/**
+ * Identifies a key without revealing it, so files encrypted with another key are told apart from corrupted ones
+ */
+function keyId(key) {
+  return crypto.createHmac('sha256', key).update('jsondbfs key id').digest().slice(0, KEY_ID_LENGTH);
+}
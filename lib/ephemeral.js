@@ -0,0 +1,138 @@
+/**
+ * (C) Copyright 2026 Manuel Martins.
+ *
+ * This module is inspired by json_file_system.
+ * (json_file_system is Copyright (c) 2014 Jalal Hejazi,
+ *  Licensed under the MIT license.)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * Created by: ManuelMartins
+ * Created on: 19-10-2026
+ *
+ */
+
+
+'use strict';
+
+var util = require('./util');
+
+function defaultCallback(err) {
+  if (err) {
+    console.log(err);
+  }
+}
+
+/**
+ * Provides in memory storage without any backing file, the documents are lost once the process exits.
+ * The filesystem is never touched, except to read the fixture file a collection is seeded from.
+ *
+ * @param {object} options
+ * @param {object}  options.db
+ * @param {object}  options.db._db._collections[name].seed the documents the collection starts with,
+ *                  as an array or the path of a fixture file (json or ndjson), documents without _id get one
+ * @param {string}  options.name the collection name
+ * @constructor
+ * @throws {Error} if the seed is neither an array nor a fixture file holding an array
+ */
+function Ephemeral(options) {
+  options = options || {};
+  var seed = (options.db._db._collections[options.name] || {}).seed || [];
+  console.log('Data will be handled using \'Ephemeral\' driver');
+  if (typeof seed === 'string') {
+    seed = util.fileSystem.readSync(seed);
+  }
+  if (!Array.isArray(seed)) {
+    throw new Error('The seed of Collection \'' + options.name + '\' must be an array or the path of a fixture file holding an array');
+  }
+  this._seed = seed.map(function assignId(document) {
+    document = util.deepClone(document);
+    if (document._id === undefined) {
+      document._id = util.generateUUID();
+    }
+    return document;
+  });
+  this.reset();
+}
+
+/**
+ * Replaces the documents with the seed documents (none without seed)
+ */
+Ephemeral.prototype.reset = function reset() {
+  this.memoryTable = util.deepClone(this._seed);
+};
+
+/**
+ * Writes a list of objects to the data driver
+ *
+ * @param content the content to write
+ * @param callback
+ */
+Ephemeral.prototype.set = function set(content, callback) {
+  callback = callback || defaultCallback;
+  this.memoryTable = util.clone(content);
+  return callback(undefined, this.memoryTable);
+};
+
+/**
+ * Reads a list of objects from the data driver
+ *
+ * @param callback
+ */
+Ephemeral.prototype.get = function get(callback) {
+  var self = this;
+  callback = callback || defaultCallback;
+  process.nextTick(function afterGet() {
+    return callback(undefined, self.memoryTable);
+  });
+};
+
+/**
+ * Nothing to flush, the documents are only kept in memory
+ *
+ * @param callback executes the callback with the default signature (err)
+ */
+Ephemeral.prototype.flush = function flush(callback) {
+  process.nextTick(callback || defaultCallback);
+};
+
+/**
+ * Releases the data provider, there is nothing to flush
+ *
+ * @param {object} options unused
+ * @param callback executes the callback with the default signature (err)
+ */
+Ephemeral.prototype.close = function close(options, callback) {
+  callback = typeof options === 'function' ? options : callback;
+  process.nextTick(callback || defaultCallback);
+};
+
+/**
+ * Locks the data provider
+ *
+ * @param callback
+ */
+Ephemeral.prototype.lock = function lock(callback) {
+  process.nextTick(callback || defaultCallback);
+};
+
+/**
+ * Unlocks the data provider
+ *
+ * @param callback
+ */
+Ephemeral.prototype.unlock = function unlock(callback) {
+  process.nextTick(callback || defaultCallback);
+};
+
+module.exports = Ephemeral;
@@ -0,0 +1,260 @@
+/**
+ * (C) Copyright 2026 Manuel Martins.
+ *
+ * This module is inspired by json_file_system.
+ * (json_file_system is Copyright (c) 2014 Jalal Hejazi,
+ *  Licensed under the MIT license.)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * Created by: ManuelMartins
+ * Created on: 19-10-2026
+ *
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+var _ = require('underscore');
+var util = require('./util');
+var encryption = require('./encryption');
+
+var ALGORITHMS = ['deterministic', 'random'];
+var CIPHER = 'aes-256-gcm';
+var IV_LENGTH = 12;
+var TAG_LENGTH = 16;
+// encrypted values are strings, so equality on deterministically encrypted fields is a plain string comparison
+var PREFIX = '$enc:';
+var ALGORITHM_MARKERS = {deterministic: 'd', random: 'r'};
+var LOGICAL_OPERATORS = ['$and', '$or', '$nor'];
+var EQUALITY_OPERATORS = ['$eq', '$ne'];
+var MEMBERSHIP_OPERATORS = ['$in', '$nin'];
+
+/**
+ * Encrypts selected fields of the documents of a collection before they are stored, and decrypts them when read.
+ * Deterministically encrypted fields always get the same encrypted value for the same value,
+ * so equality criteria ($eq, $ne, $in, $nin) keep matching once their values are encrypted as well.
+ * Randomly encrypted fields get a new encrypted value on every write and cannot be queried (except with $exists).
+ * Values are JSON serialized before being encrypted, null values are stored as they are.
+ * Stored values not starting with '$enc:' are read as they are, i.e. the ones written before their field was encrypted.
+ *
+ * @param {object} options
+ * @param {string} options.collection the collection name, used in error messages
+ * @param {object} options.fields the encrypted fields and their algorithm, i.e. {ssn: 'deterministic', 'card.number': 'random'}
+ * @param {Buffer|string} options.key a 32 bytes key, as a Buffer or a hex or base64 string
+ * @constructor
+ */
+function FieldEncryption(options) {
+  options = options || {};
+  var self = this;
+  self._collection = options.collection;
+  self._fields = options.fields || {};
+  self._paths = Object.keys(self._fields);
+  self._paths.forEach(function validateField(path) {
+    if (ALGORITHMS.indexOf(self._fields[path]) === -1) {
+      throw new Error('Encrypted field \'' + path + '\' of collection \'' + self._collection + '\' must use one of: ' +
+        ALGORITHMS.join(', '));
+    }
+  });
+  if (self._paths.length && !options.key) {
+    throw new Error('Collection \'' + self._collection + '\' has encrypted fields, option \'fieldEncryption.key\' is required');
+  }
+  if (options.key) {
+    var key = encryption.parseKey(options.key, 'fieldEncryption.key');
+    self._encryptionKey = crypto.createHmac('sha256', key).update('jsondbfs field encryption key').digest();
+    self._ivKey = crypto.createHmac('sha256', key).update('jsondbfs field iv key').digest();
+  }
+}
+
+/**
+ * Checks if the collection has encrypted fields
+ *
+ * @returns {boolean}
+ */
+FieldEncryption.prototype.isEnabled = function isEnabled() {
+  return this._paths.length > 0;
+};
+
+/**
+ * Encrypts the fields of documents about to be stored
+ *
+ * @param documents a document or an array of documents
+ * @returns encrypted copies of the documents, the documents themselves if no field is encrypted
+ */
+FieldEncryption.prototype.encrypt = function encrypt(documents) {
+  if (!this.isEnabled()) {
+    return documents;
+  }
+  return _.isArray(documents) ? documents.map(this._encryptDocument, this) : this._encryptDocument(documents);
+};
+
+/**
+ * Decrypts the fields of stored documents
+ *
+ * @param documents a document or an array of documents
+ * @returns decrypted copies of the documents, the documents themselves if no field is encrypted
+ * @throws {EncryptionError} if a field cannot be decrypted
+ */
+FieldEncryption.prototype.decrypt = function decrypt(documents) {
+  if (!this.isEnabled()) {
+    return documents;
+  }
+  return _.isArray(documents) ? documents.map(this._decryptDocument, this) : this._decryptDocument(documents);
+};
+
+/**
+ * Encrypts the values compared to deterministically encrypted fields, so the criteria match the stored documents
+ *
+ * @param criteria the criteria to match
+ * @returns the criteria to match against the stored documents
+ * @throws {Error} if the criteria query an encrypted field with an operator other than $eq, $ne, $in, $nin or $exists
+ */
+FieldEncryption.prototype.encryptCriteria = function encryptCriteria(criteria) {
+  if (!this.isEnabled() || !criteria || typeof criteria !== 'object') {
+    return criteria;
+  }
+  var self = this;
+  return _.mapObject(criteria, function encryptCondition(condition, path) {
+    if (LOGICAL_OPERATORS.indexOf(path) !== -1 && _.isArray(condition)) {
+      return condition.map(self.encryptCriteria, self);
+    }
+    if (self._fields[path]) {
+      return self._encryptCondition(path, condition);
+    }
+    if (isDocument(condition) && !isOperatorObject(condition) && self._embeddedPaths(path).length) {
+      // an embedded document holding encrypted fields, i.e. {card: {number: '4111111111111111', expiry: '12/29'}}
+      return self._encryptEmbedded(path, condition);
+    }
+    return condition;
+  });
+};
+
+FieldEncryption.prototype._encryptCondition = function encryptCondition(path, condition) {
+  var self = this;
+  if (!isOperatorObject(condition)) {
+    self._assertQueryable(path);
+    return self._encryptValue(path, condition);
+  }
+  return _.mapObject(condition, function encryptOperand(operand, operator) {
+    if (operator === '$exists') {
+      return operand;
+    }
+    self._assertQueryable(path);
+    if (EQUALITY_OPERATORS.indexOf(operator) !== -1) {
+      return self._encryptValue(path, operand);
+    }
+    if (MEMBERSHIP_OPERATORS.indexOf(operator) !== -1 && _.isArray(operand)) {
+      return operand.map(function encryptElement(element) {
+        return self._encryptValue(path, element);
+      });
+    }
+    throw new Error('Field \'' + path + '\' is encrypted, it only supports the ' +
+      EQUALITY_OPERATORS.concat(MEMBERSHIP_OPERATORS, '$exists').join(', ') + ' operators');
+  });
+};
+
+FieldEncryption.prototype._encryptEmbedded = function encryptEmbedded(path, value) {
+  var self = this;
+  var copy = util.deepClone(value);
+  self._embeddedPaths(path).forEach(function encryptField(field) {
+    var relativePath = field.slice(path.length + 1);
+    var fieldValue = util.getPath(copy, relativePath);
+    if (fieldValue !== undefined) {
+      self._assertQueryable(field);
+      util.setPath(copy, relativePath, self._encryptValue(field, fieldValue));
+    }
+  });
+  return copy;
+};
+
+FieldEncryption.prototype._embeddedPaths = function embeddedPaths(path) {
+  return this._paths.filter(function isEmbedded(field) {
+    return field.indexOf(path + '.') === 0;
+  });
+};
+
+FieldEncryption.prototype._assertQueryable = function assertQueryable(path) {
+  if (this._fields[path] !== 'deterministic') {
+    throw new Error('Field \'' + path + '\' is encrypted with the random algorithm, it can only be queried with $exists');
+  }
+};
+
+FieldEncryption.prototype._encryptDocument = function encryptDocument(document) {
+  var self = this;
+  var copy = util.deepClone(document);
+  self._paths.forEach(function encryptField(path) {
+    var value = util.getPath(copy, path);
+    if (value !== undefined) {
+      util.setPath(copy, path, self._encryptValue(path, value));
+    }
+  });
+  return copy;
+};
+
+FieldEncryption.prototype._decryptDocument = function decryptDocument(document) {
+  var self = this;
+  var copy = util.deepClone(document);
+  self._paths.forEach(function decryptField(path) {
+    var value = util.getPath(copy, path);
+    if (isEncryptedValue(value)) {
+      util.setPath(copy, path, self._decryptValue(path, value));
+    }
+  });
+  return copy;
+};
+
+FieldEncryption.prototype._encryptValue = function encryptValue(path, value) {
+  // the values encrypted are always plaintext, strings looking like encrypted values included
+  if (value === null || value === undefined) {
+    return value;
+  }
+  var algorithm = this._fields[path];
+  var plaintext = JSON.stringify(value);
+  // the iv of deterministic values is derived from the field and the value, equal values get equal encrypted values
+  var iv = algorithm === 'deterministic' ?
+    crypto.createHmac('sha256', this._ivKey).update(path + '\n' + plaintext).digest().slice(0, IV_LENGTH) :
+    crypto.randomBytes(IV_LENGTH);
+  var cipher = crypto.createCipheriv(CIPHER, this._encryptionKey, iv);
+  var encrypted = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+  return PREFIX + ALGORITHM_MARKERS[algorithm] + ':' + Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+};
+
+FieldEncryption.prototype._decryptValue = function decryptValue(path, value) {
+  var content = Buffer.from(value.slice(value.indexOf(':', PREFIX.length) + 1), 'base64');
+  try {
+    var decipher = crypto.createDecipheriv(CIPHER, this._encryptionKey, content.slice(0, IV_LENGTH));
+    decipher.setAuthTag(content.slice(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    var plaintext = Buffer.concat([decipher.update(content.slice(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf-8'));
+  } catch (error) {
+    throw new encryption.EncryptionError('Field \'' + path + '\' of collection \'' + this._collection +
+      '\' cannot be decrypted, it is corrupted or was encrypted with another key', 'ERR_AUTHENTICATION');
+  }
+};
+
+function isEncryptedValue(value) {
+  return typeof value === 'string' && value.indexOf(PREFIX) === 0;
+}
+
+function isDocument(value) {
+  return !!value && typeof value === 'object' && !_.isArray(value) && !(value instanceof Date) && !(value instanceof RegExp);
+}
+
+function isOperatorObject(value) {
+  var keys = isDocument(value) ? Object.keys(value) : [];
+  return keys.length > 0 && keys.every(function isOperator(key) {
+    return key.charAt(0) === '$';
+  });
+}
+
+module.exports = FieldEncryption;
@@ -0,0 +1,647 @@
+/**
+ * (C) Copyright 2026 Manuel Martins.
+ *
+ * This module is inspired by json_file_system.
+ * (json_file_system is Copyright (c) 2014 Jalal Hejazi,
+ *  Licensed under the MIT license.)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * Created by: ManuelMartins
+ * Created on: 19-10-2026
+ *
+ */
+
+'use strict';
+
+var _ = require('underscore');
+var util = require('./util');
+
+var ID_INDEX = {name: '_id_', key: {_id: 1}};
+
+/**
+ * Holds the secondary indexes of a collection.
+ * Index definitions are persisted in the indexes file, next to the collection file.
+ * Index entries are kept in memory and rebuilt from the documents whenever the documents changed,
+ * i.e. after a write or on the first query after connecting.
+ *
+ * @param {object} options
+ * @param {string} options.file the path of the indexes file
+ * @param {string} options.collection the collection name, used in duplicate key errors
+ * @param {object} options.writeConcern the options used to write the indexes file, i.e. {fsync: true}
+ * @param {object} options.encryption the encryption state of the indexes file
+ * @constructor
+ */
+function Indexes(options) {
+  options = options || {};
+  this._file = options.file;
+  this._writeOptions = _.extend({}, options.writeConcern, {encryption: options.encryption});
+  this._collection = options.collection;
+  this._definitions = [ID_INDEX];
+  this._entries = {};
+  this._keys = {};
+  if (this._file && util.fileSystem.existsSync(this._file)) {
+    var definitions = util.fileSystem.readSync(this._file, {encryption: options.encryption});
+    if (!_.isArray(definitions)) {
+      throw new Error('The indexes file ' + this._file + ' must hold an array of index definitions');
+    }
+    this._definitions = this._definitions.concat(definitions.map(function loadDefinition(definition) {
+      // definitions are validated as if they were created again
+      return buildDefinition(definition && definition.key, definition || {});
+    }));
+  }
+}
+
+/**
+ * Returns the index definitions, including the implicit '_id_' index
+ *
+ * @returns {Array}
+ */
+Indexes.prototype.list = function list() {
+  return util.deepClone(this._definitions);
+};
+
+/**
+ * Creates an index and persists its definition.
+ * Creating an index that already exists with the same keys does nothing.
+ *
+ * @param {object} keys the index keys, i.e. {email: 1} or {'profile.age': -1, name: 1}
+ * @param {object} options
+ * @param {string} options.name the index name, defaults to the keys joined with their directions, i.e. 'email_1'
+ * @param {boolean} options.unique rejects documents with the same keys as another document
+ * @param {boolean} options.sparse skips the documents missing every key of the index
+ * @param {number} options.expireAfterSeconds makes it a TTL index, documents expire once their date field is older than it
+ * @param {Array} documents the documents of the collection, a unique index cannot be created if they hold duplicates
+ * @param callback executes the callback with the default signature (err, name)
+ */
+Indexes.prototype.create = function create(keys, options, documents, callback) {
+  var self = this;
+  var definition;
+  try {
+    definition = buildDefinition(keys, options || {});
+    if (definition.unique) {
+      self._checkUnique(definition, [], documents, _.range(documents.length));
+    }
+  } catch (error) {
+    return process.nextTick(function afterValidation() {
+      callback(error);
+    });
+  }
+  var sameKeys = _.find(self._definitions, function hasSameKeys(existing) {
+    return existing.name !== definition.name && _.isEqual(existing.key, definition.key);
+  });
+  if (sameKeys) {
+    return process.nextTick(function afterLookup() {
+      callback(new Error('An index with the same keys already exists with a different name: ' + sameKeys.name));
+    });
+  }
+  var existing = _.findWhere(self._definitions, {name: definition.name});
+  if (existing) {
+    return process.nextTick(function afterLookup() {
+      if (!_.isEqual(existing, definition)) {
+        return callback(new Error('An index named \'' + definition.name + '\' already exists with different options'));
+      }
+      return callback(undefined, definition.name);
+    });
+  }
+  self._persist(self._definitions.concat(definition), function afterPersist(err) {
+    if (err) {
+      return callback(err);
+    }
+    return callback(undefined, definition.name);
+  });
+};
+
+/**
+ * Drops an index and removes its definition
+ *
+ * @param nameOrKeys the index name or the keys used to create it
+ * @param callback executes the callback with the default signature (err)
+ */
+Indexes.prototype.drop = function drop(nameOrKeys, callback) {
+  var name = typeof nameOrKeys === 'string' ? nameOrKeys : indexName(nameOrKeys || {});
+  var self = this;
+  if (name === ID_INDEX.name) {
+    return process.nextTick(function afterLookup() {
+      callback(new Error('Cannot drop the \'_id_\' index'));
+    });
+  }
+  if (!_.findWhere(self._definitions, {name: name})) {
+    return process.nextTick(function afterLookup() {
+      callback(new Error('Index not found with name [' + name + ']'));
+    });
+  }
+  self._persist(_.reject(self._definitions, function isDropped(definition) {
+    return definition.name === name;
+  }), callback);
+};
+
+/**
+ * Finds the positions of the documents that may match the criteria using the best available index.
+ * The documents at those positions still need to be tested against the criteria,
+ * but every document matching the criteria is guaranteed to be among them.
+ *
+ * @param {Array} documents the documents of the collection
+ * @param criteria the criteria to match
+ * @param {string} version the version the driver read the documents with, if it reports one
+ * @returns {Array|undefined} the ascending positions, or undefined if no index can be used
+ */
+Indexes.prototype.plan = function plan(documents, criteria, version) {
+  var conditions = indexableConditions(criteria);
+  var best = conditions && this._choose(conditions);
+  if (!best) {
+    return undefined;
+  }
+  var fields = Object.keys(best.key);
+  var entries = this._build(best, documents, version);
+  var positions = lookup(entries, conditions[fields[0]]);
+  var others = fields.slice(1).filter(function hasEquality(field) {
+    return conditions[field] && conditions[field].eq;
+  });
+  if (others.length) {
+    positions = positions.filter(function matchesOthers(position) {
+      return others.every(function matchesField(field) {
+        var values = keyValues(util.getPath(documents[position], field));
+        return conditions[field].eq.some(function isEqual(expected) {
+          return values.some(function compareValue(value) {
+            return util.compare(value, expected) === 0;
+          });
+        });
+      });
+    });
+  }
+  return _.uniq(positions.sort(function ascending(a, b) {
+    return a - b;
+  }), true);
+};
+
+/**
+ * Checks if an index can be used to find the documents matching the criteria, i.e. if plan finds their positions
+ *
+ * @param criteria the criteria to match
+ * @returns {boolean}
+ */
+Indexes.prototype.applies = function applies(criteria) {
+  var conditions = indexableConditions(criteria);
+  return !!conditions && !!this._choose(conditions);
+};
+
+/**
+ * Returns the index answering most of the conditions, undefined if none of them can answer any
+ */
+Indexes.prototype._choose = function choose(conditions) {
+  var best;
+  var bestScore = 0;
+  this._definitions.forEach(function score(definition) {
+    var fields = Object.keys(definition.key);
+    var usable = 0;
+    while (usable < fields.length && conditions[fields[usable]]) {
+      usable++;
+      if (!conditions[fields[usable - 1]].eq) {
+        break;
+      }
+    }
+    if (usable > bestScore) {
+      best = definition;
+      bestScore = usable;
+    }
+  });
+  return best;
+};
+
+/**
+ * Checks the unique indexes (and the '_id_' index) against the documents that were inserted or changed.
+ * Throws an E11000 duplicate key error, as MongoDB does, if one of them holds the same keys as another document.
+ * The keys of the documents before the write are counted once and kept up to date, so a write only checks the changed documents.
+ *
+ * @param {Array} previous the documents of the collection, before the write
+ * @param {Array} documents the documents of the collection, after the write
+ * @param {Array} positions the positions of the inserted or changed documents, changed ones keep their position
+ */
+Indexes.prototype.checkUnique = function checkUnique(previous, documents, positions) {
+  var self = this;
+  var checked = self._definitions.filter(function isUnique(definition) {
+    return definition.unique || definition.name === ID_INDEX.name;
+  }).map(function checkDefinition(definition) {
+    return self._checkUnique(definition, previous, documents, positions);
+  });
+  // every index passed, their key counts now describe the documents after the write
+  checked.forEach(function updateCounts(check) {
+    check.apply();
+  });
+};
+
+Indexes.prototype._checkUnique = function checkUniqueDefinition(definition, previous, documents, positions) {
+  var self = this;
+  var fields = Object.keys(definition.key);
+  var counts = self._countKeys(definition, previous);
+  var removed = {};
+  var added = {};
+  positions.forEach(function removeKeys(position) {
+    if (position < previous.length) {
+      uniqueKeys(previous[position], fields, definition.sparse).forEach(function removeKey(key) {
+        removed[key.id] = (removed[key.id] || 0) + 1;
+      });
+    }
+  });
+  positions.forEach(function checkKeys(position) {
+    var keys = uniqueKeys(documents[position], fields, definition.sparse);
+    keys.forEach(function checkKey(key) {
+      if ((counts[key.id] || 0) - (removed[key.id] || 0) > 0 || added[key.id]) {
+        throw duplicateKeyError(self._collection, definition, key.value);
+      }
+    });
+    keys.forEach(function addKey(key) {
+      added[key.id] = 1;
+    });
+  });
+  return {
+    apply: function apply() {
+      _.each(removed, function removeCount(count, id) {
+        counts[id] -= count;
+      });
+      _.each(added, function addCount(count, id) {
+        counts[id] = (counts[id] || 0) + count;
+      });
+      self._keys[definition.name] = {documents: documents, counts: counts};
+    }
+  };
+};
+
+/**
+ * Returns the number of documents holding each key of a unique index, counting them again if the documents changed
+ */
+Indexes.prototype._countKeys = function countKeys(definition, documents) {
+  var counted = this._keys[definition.name];
+  // drivers may hand out a copy of the array they stored, the documents themselves are the same objects
+  if (counted && counted.documents.length === documents.length && counted.documents.every(function isSame(document, position) {
+    return document === documents[position];
+  })) {
+    return counted.counts;
+  }
+  var fields = Object.keys(definition.key);
+  var counts = {};
+  documents.forEach(function countDocument(document) {
+    uniqueKeys(document, fields, definition.sparse).forEach(function countKey(key) {
+      counts[key.id] = (counts[key.id] || 0) + 1;
+    });
+  });
+  this._keys[definition.name] = {documents: documents, counts: counts};
+  return counts;
+};
+
+/**
+ * Finds the documents holding the same keys as a previous document in a unique index (or in the '_id_' index)
+ *
+ * @param {Array} documents the documents of the collection
+ * @returns {Array} the duplicates as {position, error}, error being the E11000 duplicate key error
+ */
+Indexes.prototype.duplicates = function duplicates(documents) {
+  var self = this;
+  var found = [];
+  self._definitions.forEach(function findDuplicates(definition) {
+    if (!definition.unique && definition.name !== ID_INDEX.name) {
+      return;
+    }
+    var fields = Object.keys(definition.key);
+    var seen = {};
+    documents.forEach(function checkDocument(document, position) {
+      // documents without _id are not indexed by '_id_', they are reported as such by the validation
+      var keys = uniqueKeys(document, fields, definition.sparse || definition.name === ID_INDEX.name);
+      var duplicate = _.find(keys, function isSeen(key) {
+        return seen[key.id];
+      });
+      if (duplicate) {
+        found.push({position: position, error: duplicateKeyError(self._collection, definition, duplicate.value)});
+      } else {
+        keys.forEach(function addKey(key) {
+          seen[key.id] = true;
+        });
+      }
+    });
+  });
+  return found;
+};
+
+/**
+ * Finds the documents expired according to the TTL indexes.
+ * A document expires once the date held by the indexed field (or the earliest one, for arrays)
+ * is older than expireAfterSeconds. Dates may be Date objects or ISO 8601 strings, as stored in the collection files.
+ * Documents without a date in the indexed field never expire.
+ *
+ * @param {Array} documents the documents of the collection
+ * @param {Date} now the current date
+ * @returns {Array} the ascending positions of the expired documents
+ */
+Indexes.prototype.expired = function expired(documents, now) {
+  var definitions = this.ttl();
+  var positions = [];
+  documents.forEach(function checkExpiration(document, position) {
+    var isExpired = definitions.some(function isExpiredBy(definition) {
+      var dates = [].concat(util.getPath(document, Object.keys(definition.key)[0])).map(toDate).filter(_.isFinite);
+      return dates.length > 0 && _.min(dates) <= now.getTime() - definition.expireAfterSeconds * 1000;
+    });
+    if (isExpired) {
+      positions.push(position);
+    }
+  });
+  return positions;
+};
+
+/**
+ * Returns the TTL index definitions
+ *
+ * @returns {Array}
+ */
+Indexes.prototype.ttl = function ttl() {
+  return this._definitions.filter(function isTTL(definition) {
+    return definition.expireAfterSeconds !== undefined;
+  });
+};
+
+/**
+ * Returns the entries of an index, sorted by the value of its first key, rebuilding them if the documents changed.
+ * Drivers parsing the documents again on every read (the disk driver does) report the version they read,
+ * the entries are kept as long as it does not change.
+ */
+Indexes.prototype._build = function build(definition, documents, version) {
+  var built = this._entries[definition.name];
+  var unchanged = built && (built.documents === documents || (version !== undefined && built.version === version));
+  if (unchanged && built.length === documents.length) {
+    return built.entries;
+  }
+  var field = Object.keys(definition.key)[0];
+  var entries = [];
+  documents.forEach(function indexDocument(document, position) {
+    keyValues(util.getPath(document, field)).forEach(function addEntry(value) {
+      entries.push({value: value, position: position});
+    });
+  });
+  entries.sort(function compareEntries(a, b) {
+    return util.compare(a.value, b.value) || a.position - b.position;
+  });
+  this._entries[definition.name] = {documents: documents, version: version, length: documents.length, entries: entries};
+  return entries;
+};
+
+Indexes.prototype._persist = function persist(definitions, callback) {
+  var self = this;
+  var persisted = _.reject(definitions, function isImplicit(definition) {
+    return definition.name === ID_INDEX.name;
+  });
+  var afterWrite = function afterWrite(err) {
+    if (err) {
+      return callback(err);
+    }
+    self._definitions = definitions;
+    self._entries = {};
+    self._keys = {};
+    return callback();
+  };
+  if (!self._file) {
+    return process.nextTick(afterWrite);
+  }
+  util.fileSystem.write(self._file, persisted, self._writeOptions, afterWrite);
+};
+
+function buildDefinition(keys, options) {
+  if (!keys || typeof keys !== 'object' || _.isArray(keys) || Object.keys(keys).length === 0) {
+    throw new Error('Index keys must be a non-empty object, i.e. {field: 1}');
+  }
+  for (var field in keys) {
+    if (keys[field] !== 1 && keys[field] !== -1) {
+      throw new Error('Invalid index direction for \'' + field + '\', expected 1 or -1');
+    }
+    if (field.charAt(0) === '$') {
+      throw new Error('Index keys cannot start with \'$\': ' + field);
+    }
+  }
+  var definition = {
+    name: options.name || indexName(keys),
+    key: _.clone(keys)
+  };
+  if (options.unique) {
+    definition.unique = true;
+  }
+  if (options.sparse) {
+    definition.sparse = true;
+  }
+  if (options.expireAfterSeconds !== undefined) {
+    var seconds = options.expireAfterSeconds;
+    if (typeof seconds !== 'number' || seconds < 0 || seconds % 1 !== 0) {
+      throw new Error('expireAfterSeconds must be a non-negative integer');
+    }
+    if (Object.keys(keys).length !== 1) {
+      throw new Error('TTL indexes are single-field indexes, compound indexes do not support expireAfterSeconds');
+    }
+    definition.expireAfterSeconds = seconds;
+  }
+  return definition;
+}
+
+function indexName(keys) {
+  return _.map(keys, function keyName(direction, field) {
+    return field + '_' + direction;
+  }).join('_');
+}
+
+/**
+ * Index keys of a value, arrays are indexed by each of their elements (and as a whole), missing values as null
+ */
+function keyValues(value) {
+  if (value === undefined) {
+    return [null];
+  }
+  if (_.isArray(value)) {
+    return value.length ? [value].concat(value) : [value, null];
+  }
+  return [value];
+}
+
+/**
+ * Keys of a document in a unique index, arrays contribute each of their elements.
+ * Each key holds an id to compare it and the key value reported in duplicate key errors.
+ */
+function uniqueKeys(document, fields, sparse) {
+  var values = fields.map(function fieldValue(field) {
+    return util.getPath(document, field);
+  });
+  if (sparse && values.every(_.isUndefined)) {
+    return [];
+  }
+  var keys = [{id: '', value: {}}];
+  fields.forEach(function combine(field, index) {
+    var value = values[index];
+    var elements = _.isArray(value) && value.length ? value : [value === undefined ? null : value];
+    keys = _.flatten(keys.map(function extend(key) {
+      return elements.map(function withElement(element) {
+        var keyValue = _.clone(key.value);
+        keyValue[field] = element;
+        return {id: key.id + util.typeOrder(element) + ':' + JSON.stringify(element) + '|', value: keyValue};
+      });
+    }), true);
+  });
+  return _.uniq(keys, false, function keyId(key) {
+    return key.id;
+  });
+}
+
+var ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Returns the time of a Date or of an ISO 8601 string, or undefined for any other value
+ */
+function toDate(value) {
+  if (_.isDate(value)) {
+    return value.getTime();
+  }
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    return Date.parse(value);
+  }
+  return undefined;
+}
+
+function duplicateKeyError(collection, definition, keyValue) {
+  var error = new Error('E11000 duplicate key error collection: ' + collection + ' index: ' + definition.name +
+    ' dup key: ' + JSON.stringify(keyValue));
+  error.code = 11000;
+  error.keyPattern = _.clone(definition.key);
+  error.keyValue = keyValue;
+  return error;
+}
+
+/**
+ * Extracts the conditions an index can answer from the criteria:
+ * equality on scalar values ({field: value}, {$eq: value}, {$in: [...]}) and ranges ($gt, $gte, $lt, $lte)
+ *
+ * @returns {object|undefined} conditions by field, or undefined if there are none
+ */
+function indexableConditions(criteria) {
+  if (!criteria || typeof criteria !== 'object') {
+    return undefined;
+  }
+  var conditions = {};
+  var found = false;
+  for (var field in criteria) {
+    if (field.charAt(0) === '$') {
+      continue;
+    }
+    var condition = fieldCondition(criteria[field]);
+    if (condition) {
+      conditions[field] = condition;
+      found = true;
+    }
+  }
+  return found ? conditions : undefined;
+}
+
+function fieldCondition(value) {
+  if (isScalar(value)) {
+    return {eq: [value]};
+  }
+  if (!value || typeof value !== 'object' || _.isArray(value)) {
+    return undefined;
+  }
+  if ('$eq' in value && isScalar(value.$eq)) {
+    return {eq: [value.$eq]};
+  }
+  if ('$in' in value && _.isArray(value.$in) && value.$in.every(isScalar)) {
+    return {eq: value.$in};
+  }
+  var range = _.pick(value, '$gt', '$gte', '$lt', '$lte');
+  var bounds = _.values(range);
+  if (bounds.length && bounds.every(isScalar) && _.uniq(bounds.map(util.typeOrder)).length === 1) {
+    return {range: range};
+  }
+  return undefined;
+}
+
+function isScalar(value) {
+  return value === null || _.isDate(value) || ['string', 'number', 'boolean'].indexOf(typeof value) !== -1;
+}
+
+/**
+ * Finds the positions of the entries satisfying a condition on the first key of the index
+ */
+function lookup(entries, condition) {
+  var positions = [];
+  var collect = function collect(from, to) {
+    for (var i = from; i < to; i++) {
+      positions.push(entries[i].position);
+    }
+  };
+  if (condition.eq) {
+    condition.eq.forEach(function lookupValue(value) {
+      collect(lowerBound(entries, value, false), lowerBound(entries, value, true));
+    });
+    return positions;
+  }
+  // ranges are evaluated by the criteria matcher with javascript comparisons, which convert between types,
+  // so every entry of a different type is kept as a candidate
+  var range = condition.range;
+  var bound = _.values(range)[0];
+  var bracketStart = lowerBoundType(entries, util.typeOrder(bound), false);
+  var bracketEnd = lowerBoundType(entries, util.typeOrder(bound), true);
+  var start = bracketStart;
+  var end = bracketEnd;
+  if ('$gt' in range || '$gte' in range) {
+    var low = '$gt' in range ? range.$gt : range.$gte;
+    start = Math.max(start, lowerBound(entries, low, '$gt' in range));
+  }
+  if ('$lt' in range || '$lte' in range) {
+    var high = '$lt' in range ? range.$lt : range.$lte;
+    end = Math.min(end, lowerBound(entries, high, '$lte' in range));
+  }
+  collect(0, bracketStart);
+  collect(start, end);
+  collect(bracketEnd, entries.length);
+  return positions;
+}
+
+/**
+ * Binary search for the first entry not lower than the value (or greater than the value, when after is true)
+ */
+function lowerBound(entries, value, after) {
+  var low = 0;
+  var high = entries.length;
+  while (low < high) {
+    var middle = (low + high) >>> 1;
+    var result = util.compare(entries[middle].value, value);
+    if (result < 0 || (after && result === 0)) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Binary search for the first entry of the given type (or of the next type, when after is true)
+ */
+function lowerBoundType(entries, type, after) {
+  var low = 0;
+  var high = entries.length;
+  while (low < high) {
+    var middle = (low + high) >>> 1;
+    var entryType = util.typeOrder(entries[middle].value);
+    if (entryType < type || (after && entryType === type)) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+module.exports = Indexes;
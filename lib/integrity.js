@@ -0,0 +1,335 @@
+/**
+ * (C) Copyright 2026 Manuel Martins.
+ *
+ * This module is inspired by json_file_system.
+ * (json_file_system is Copyright (c) 2014 Jalal Hejazi,
+ *  Licensed under the MIT license.)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * Created by: ManuelMartins
+ * Created on: 19-10-2026
+ *
+ */
+
+'use strict';
+
+var fs = require('fs');
+var _ = require('underscore');
+var util = require('./util');
+var journal = require('./journal');
+var Indexes = require('./indexes');
+var encryption = require('./encryption');
+
+var ENCODING = 'utf-8';
+
+/**
+ * Error raised by connect when a collection is corrupted and options.onCorruption is 'fail'
+ *
+ * @param {string} collection the collection name
+ * @param {object} report the validation report of the collection
+ * @constructor
+ */
+function CorruptionError(collection, report) {
+  Error.call(this);
+  this.name = 'CorruptionError';
+  this.message = 'Collection \'' + collection + '\' is corrupted: ' + report.errors.join('; ');
+  this.collection = collection;
+  this.report = report;
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, CorruptionError);
+  }
+}
+CorruptionError.prototype = Object.create(Error.prototype);
+CorruptionError.prototype.constructor = CorruptionError;
+
+module.exports.CorruptionError = CorruptionError;
+
+/**
+ * Validates the files of a collection: the collection file, its journal and its indexes file.
+ * Reports parse errors, entries that are not documents, missing or duplicated _id, invalid index definitions
+ * and documents violating unique indexes.
+ *
+ * @param {object} options
+ * @param {string} options.name the collection name
+ * @param {string} options.file the collection file
+ * @param {object} options.encryption the encryption state of the collection files
+ * @param callback executes the callback with the signature (err, report),
+ *                 report being {ns, valid, nrecords, nIndexes, errors, warnings}
+ */
+module.exports.validate = function validate(options, callback) {
+  readCollection(options, function afterRead(err, collection) {
+    if (err) {
+      return callback(err);
+    }
+    var errors = collection.errors.slice();
+    var documents = [];
+    collection.documents.forEach(function checkEntry(entry, position) {
+      if (!isDocument(entry)) {
+        errors.push('Entry at position ' + position + ' is not a document: ' + JSON.stringify(entry));
+      } else if (entry._id === undefined) {
+        errors.push('Document at position ' + position + ' has no _id');
+        documents.push(entry);
+      } else {
+        documents.push(entry);
+      }
+    });
+    if (collection.indexes) {
+      collection.indexes.duplicates(documents).forEach(function reportDuplicate(duplicate) {
+        errors.push(duplicate.error.message);
+      });
+    }
+    return callback(undefined, {
+      ns: options.name,
+      valid: errors.length === 0,
+      nrecords: documents.length,
+      nIndexes: collection.indexes ? collection.indexes.list().length : 0,
+      errors: errors,
+      warnings: collection.warnings
+    });
+  });
+};
+
+/**
+ * Repairs a collection, salvaging every readable document into a fresh collection file.
+ * The original files are kept aside as '<file>.corrupt-<timestamp>'.
+ * Entries that are not documents are dropped, documents without _id get one,
+ * documents violating a unique index (or duplicating an _id) are dropped, the first one is kept.
+ *
+ * @param {object} options
+ * @param {string} options.name the collection name
+ * @param {string} options.file the collection file
+ * @param {object} options.writeConcern the options used to write the collection file, i.e. {fsync: true}
+ * @param {string} options.format the format of the collection file, one of ['json', 'ndjson']
+ * @param {object} options.encryption the encryption state of the collection files
+ * @param callback executes the callback with the signature (err, result),
+ *                 result being {ns, nrecords, dropped, quarantined}
+ */
+module.exports.repair = function repair(options, callback) {
+  readCollection(options, function afterRead(err, collection) {
+    if (err) {
+      return callback(err);
+    }
+    var suffix = '.corrupt-' + Date.now();
+    var quarantined = [];
+    var dropped = collection.lost;
+    var documents = collection.documents.filter(function isKept(entry) {
+      if (!isDocument(entry)) {
+        dropped++;
+        return false;
+      }
+      if (entry._id === undefined) {
+        entry._id = util.generateUUID();
+      }
+      return true;
+    });
+    var indexes = collection.indexes;
+    if (!indexes) {
+      // the definitions cannot be read, the indexes file is kept aside and only '_id_' is left
+      quarantined.push(collection.indexesFile + suffix);
+      fs.renameSync(collection.indexesFile, collection.indexesFile + suffix);
+      indexes = new Indexes({collection: options.name, encryption: options.encryption});
+    }
+    var duplicates = _.uniq(_.pluck(indexes.duplicates(documents), 'position'));
+    var isDuplicate = _.object(duplicates, duplicates);
+    dropped += duplicates.length;
+    documents = documents.filter(function isUnique(document, position) {
+      return !_.has(isDuplicate, position);
+    });
+    quarantined.unshift(options.file + suffix);
+    fs.copyFile(options.file, options.file + suffix, function afterCopy(err) {
+      if (err) {
+        return callback(err);
+      }
+      var writeOptions = _.extend({}, options.writeConcern, {format: options.format, encryption: options.encryption});
+      util.fileSystem.write(options.file, documents, writeOptions, function afterWrite(err) {
+        if (err) {
+          return callback(err);
+        }
+        var result = {ns: options.name, nrecords: documents.length, dropped: dropped, quarantined: quarantined};
+        if (!collection.hasJournal) {
+          return callback(undefined, result);
+        }
+        // the journal was replayed into the fresh collection file
+        result.quarantined.push(collection.journalFile + suffix);
+        fs.rename(collection.journalFile, collection.journalFile + suffix, function afterRename(err) {
+          return callback(err, result);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Salvages the documents of a collection file that cannot be parsed.
+ * Every complete document of the top level array (or every line, for NDJSON) is kept,
+ * the ones that cannot be parsed are counted as dropped.
+ *
+ * @param {string} content the content of the collection file
+ * @returns {object} {documents, dropped}
+ */
+function salvage(content) {
+  if (util.fileSystem.detectFormat(content) === 'ndjson') {
+    return salvageLines(content);
+  }
+  var documents = [];
+  var dropped = 0;
+  var depth = 0;
+  var start = -1;
+  var inString = false;
+  var escaped = false;
+  for (var i = 0; i < content.length; i++) {
+    var character = content.charAt(i);
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (character === '\\') {
+        escaped = true;
+      } else if (character === '"') {
+        inString = false;
+      }
+    } else if (character === '"') {
+      inString = true;
+    } else if (character === '{' || character === '[') {
+      if (depth === 1 && character === '{') {
+        start = i;
+      }
+      depth++;
+    } else if (character === '}' || character === ']') {
+      depth = Math.max(depth - 1, 0);
+      if (depth === 1 && character === '}' && start !== -1) {
+        try {
+          documents.push(JSON.parse(content.slice(start, i + 1)));
+        } catch (error) {
+          dropped++;
+        }
+        start = -1;
+      }
+    }
+  }
+  if (start !== -1) {
+    // the last document was truncated
+    dropped++;
+  }
+  return {documents: documents, dropped: dropped};
+}
+
+function salvageLines(content) {
+  var documents = [];
+  var dropped = 0;
+  content.split('\n').forEach(function parseLine(line) {
+    if (line.trim()) {
+      try {
+        documents.push(JSON.parse(line));
+      } catch (error) {
+        dropped++;
+      }
+    }
+  });
+  return {documents: documents, dropped: dropped};
+}
+
+/**
+ * Reads the files of a collection, collecting the problems found on the way.
+ * The documents are the entries of the collection file (salvaged if it cannot be parsed) with the journal replayed.
+ */
+function readCollection(options, callback) {
+  var file = options.file;
+  var journalFile = util.fileSystem.basePath(file) + '.journal';
+  var indexesFile = util.fileSystem.basePath(file) + '.indexes.json';
+  // a truncated compressed file still gives the content written before the truncation
+  util.fileSystem.readContent(file, {partial: true, encryption: options.encryption}, function afterReadFile(err, content) {
+    if (err && (err.syscall || isKeyError(err))) {
+      // the files cannot be validated without their key
+      return callback(err);
+    }
+    var collection = {
+      documents: undefined,
+      lost: 0,
+      errors: [],
+      warnings: [],
+      indexes: undefined,
+      indexesFile: indexesFile,
+      journalFile: journalFile,
+      hasJournal: fs.existsSync(journalFile)
+    };
+    if (err) {
+      // the compressed or encrypted data is damaged, nothing can be salvaged
+      collection.errors.push(err instanceof encryption.EncryptionError ? err.message : 'The collection file cannot be decompressed: ' + err.message);
+      collection.documents = [];
+    } else {
+      try {
+        collection.documents = util.fileSystem.parse(content);
+        if (!_.isArray(collection.documents)) {
+          collection.errors.push('The collection file must hold an array of documents');
+          collection.documents = isDocument(collection.documents) ? [collection.documents] : [];
+        }
+      } catch (error) {
+        var salvaged = salvage(content);
+        collection.errors.push('The collection file cannot be parsed: ' + error.message +
+          ' (' + salvaged.documents.length + ' documents can be salvaged, ' + salvaged.dropped + ' lost)');
+        collection.documents = salvaged.documents;
+        collection.lost = salvaged.dropped;
+      }
+    }
+    try {
+      collection.indexes = new Indexes({file: indexesFile, collection: options.name, encryption: options.encryption});
+    } catch (error) {
+      collection.errors.push('The indexes file cannot be loaded: ' + error.message);
+    }
+    if (!collection.hasJournal) {
+      return callback(undefined, collection);
+    }
+    fs.readFile(journalFile, ENCODING, function afterReadJournal(err, lines) {
+      if (err) {
+        return callback(err);
+      }
+      var records = [];
+      lines = lines.split('\n');
+      for (var i = 0; i < lines.length; i++) {
+        if (!lines[i]) {
+          continue;
+        }
+        var record;
+        try {
+          record = util.fileSystem.decodeRecord(lines[i], options.encryption, journalFile);
+        } catch (error) {
+          if (isKeyError(error)) {
+            return callback(error);
+          }
+          // left by an interrupted append, skipped when replaying the journal
+          collection.warnings.push('Journal record at line ' + (i + 1) + ' is truncated');
+          continue;
+        }
+        if (journal.isRecord(record)) {
+          records.push(record);
+        } else {
+          collection.errors.push('Journal record at line ' + (i + 1) + ' is not a valid record: ' + JSON.stringify(record));
+        }
+      }
+      collection.documents = journal.replay(collection.documents, records);
+      return callback(undefined, collection);
+    });
+  });
+}
+
+/**
+ * Checks if an error is raised by a missing or wrong key, rather than by damaged data
+ */
+function isKeyError(error) {
+  return error instanceof encryption.EncryptionError && error.code !== 'ERR_AUTHENTICATION';
+}
+
+function isDocument(entry) {
+  return !!entry && typeof entry === 'object' && !_.isArray(entry);
+}
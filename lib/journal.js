@@ -0,0 +1,111 @@
+/**
+ * (C) Copyright 2026 Manuel Martins.
+ *
+ * This module is inspired by json_file_system.
+ * (json_file_system is Copyright (c) 2014 Jalal Hejazi,
+ *  Licensed under the MIT license.)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * Created by: ManuelMartins
+ * Created on: 19-10-2026
+ *
+ */
+
+'use strict';
+
+/**
+ * Builds the journal records turning the previous documents into the new ones:
+ * {op: 'set', document} for the inserted or changed documents and {op: 'remove', _id} for the removed ones.
+ * Documents are told apart by their _id, unchanged documents keep their identity between reads and writes.
+ *
+ * @returns {Array|undefined} the records, or undefined when the documents cannot be journaled (missing or duplicated _id)
+ */
+module.exports.records = function records(previous, documents) {
+  var previousById = {};
+  var changes = [];
+  var seen = {};
+  var i;
+  for (i = 0; i < previous.length; i++) {
+    if (!previous[i] || previous[i]._id === undefined) {
+      return undefined;
+    }
+    previousById[idKey(previous[i]._id)] = previous[i];
+  }
+  for (i = 0; i < documents.length; i++) {
+    if (!documents[i] || documents[i]._id === undefined || seen[idKey(documents[i]._id)]) {
+      return undefined;
+    }
+    var key = idKey(documents[i]._id);
+    seen[key] = true;
+    if (previousById[key] !== documents[i]) {
+      changes.push({op: 'set', document: documents[i]});
+    }
+  }
+  for (var previousKey in previousById) {
+    if (!seen[previousKey]) {
+      changes.push({op: 'remove', _id: previousById[previousKey]._id});
+    }
+  }
+  return changes;
+};
+
+/**
+ * Checks that a journal record is either {op: 'set', document} or {op: 'remove', _id}
+ *
+ * @param record the record to check
+ * @returns {boolean}
+ */
+module.exports.isRecord = function isRecord(record) {
+  if (!record || typeof record !== 'object') {
+    return false;
+  }
+  if (record.op === 'set') {
+    return !!record.document && typeof record.document === 'object' && record.document._id !== undefined;
+  }
+  return record.op === 'remove' && record._id !== undefined;
+};
+
+/**
+ * Applies the journal records to the snapshot documents, skipping the malformed ones.
+ * Records are idempotent, so replaying them over a snapshot that already holds them changes nothing.
+ */
+module.exports.replay = function replay(documents, records) {
+  var positions = {};
+  documents.forEach(function indexDocument(document, position) {
+    if (document && document._id !== undefined) {
+      positions[idKey(document._id)] = position;
+    }
+  });
+  records.filter(module.exports.isRecord).forEach(function applyRecord(record) {
+    var key = idKey(record.op === 'set' ? record.document._id : record._id);
+    var position = positions[key];
+    if (record.op === 'set') {
+      if (position === undefined) {
+        positions[key] = documents.push(record.document) - 1;
+      } else {
+        documents[position] = record.document;
+      }
+    } else if (position !== undefined) {
+      documents[position] = undefined;
+      delete positions[key];
+    }
+  });
+  return documents.filter(function isPresent(document) {
+    return document !== undefined;
+  });
+};
+
+function idKey(id) {
+  return JSON.stringify(id);
+}
@@ -24,6 +24,8 @@
 
 'use strict';
 
+var fs = require('fs');
+var path = require('path');
 var util = require('./util');
 
 function defaultCallback(err) {
@@ -32,50 +34,243 @@ function defaultCallback(err) {
   }
 }
 
+var FLUSH_STRATEGIES = ['interval', 'debounce', 'every-n-writes', 'immediate'];
+var CONFLICT_HANDLERS = ['fail', 'reload', 'overwrite'];
+
+/**
+ * Error raised when the file of a watched collection was changed by someone else while the memory holds unflushed changes,
+ * and options.memory.onConflict is 'fail'
+ *
+ * @param {string} collection the collection name
+ * @param {string} file the collection file
+ * @constructor
+ */
+function ConflictError(collection, file) {
+  Error.call(this);
+  this.name = 'ConflictError';
+  this.message = 'File \'' + file + '\' of Collection \'' + collection + '\' was changed on disk while it holds unflushed changes, ' +
+    'reload the collection to drop them';
+  this.collection = collection;
+  this.file = file;
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, ConflictError);
+  }
+}
+ConflictError.prototype = Object.create(Error.prototype);
+ConflictError.prototype.constructor = ConflictError;
+
 /**
  * Provides in memory storage and regular flush to disk.
+ * Every write increments the version of the memory, a flush records the version it wrote:
+ * the memory is dirty until its version is flushed, collections which did not change are never written again.
+ * How the changes are flushed depends on the flush strategy:
+ * 'interval' flushes every flushInterval, 'debounce' once no write happened for flushInterval,
+ * 'every-n-writes' once flushWrites writes are not flushed and 'immediate' after every write, before completing it.
+ * Watched files are reloaded when someone else changes them (the signature of the file differs from the one last read or written).
+ * If the memory holds unflushed changes meanwhile, onConflict decides: 'fail' keeps them but fails the flushes with a ConflictError
+ * until the collection is reloaded, 'reload' drops them and 'overwrite' flushes them over the changed file.
  *
  * @param {object} options
  * @param {object}  options.db
- * @param {float}  options.db._flush
+ * @param {object}  options.db._db._memory {flush, flushStrategy, flushInterval, flushWrites, watch, onConflict}
+ * @param {object}  options.db._db._writeConcern
+ * @param {object}  options.db._db._encryption the encryption state of the flushed file
  * @param {string}  options.file
+ * @param {string}  options.name the collection name, reported with flush errors
+ * @param {string}  options.format the format of the flushed file, one of ['json', 'ndjson']
  * @constructor
  */
 function Memory(options) {
   options = options || {};
   var self = this;
-  self.flush = options.db._db._memory.flush || false;
-  self.flushInterval = options.db._db._memory.flushInterval || 10000;
+  var memoryOptions = options.db._db._memory;
+  // a flush strategy enables the flush on its own
+  self.flushStrategy = memoryOptions.flushStrategy || (memoryOptions.flush ? 'interval' : undefined);
+  self.flushInterval = memoryOptions.flushInterval || 10000;
+  self.flushWrites = memoryOptions.flushWrites || 100;
+  self.onConflict = memoryOptions.onConflict || 'fail';
   self.flushFile = options.file;
+  self.writeOptions = {
+    fsync: !!(options.db._db._writeConcern || {}).fsync,
+    format: options.format || 'json',
+    encryption: options.db._db._encryption
+  };
   self.memoryTable = [];
+  self._db = options.db;
+  self._name = options.name;
+  self._flushing = undefined;
+  self._version = 0;
+  self._flushedVersion = 0;
   console.log('Data will be handled using \'Memory\' driver');
   // :S yeah we need to load it synchronously otherwise it might be loaded after the first insert
-  var content = util.fileSystem.readSync(self.flushFile);
-  self.set(content);
-  if (self.flush) {
+  var content = [];
+  try {
+    content = util.fileSystem.readSync(self.flushFile, {encryption: self.writeOptions.encryption});
+  } catch (err) {
+    // a corrupted file is left untouched, reads fail (as with the 'Disk' driver) until it is repaired
+    console.error('Cannot load \'%s\': %s', self.flushFile, err.message);
+    self.loadError = err;
+  }
+  self.memoryTable = util.clone(content);
+  if (self.loadError) {
+    self.flushStrategy = undefined;
+  }
+  if (self.flushStrategy === 'interval') {
     console.log('\'Memory\' driver will flush data every %sms', self.flushInterval);
     // set interval to flush
-    setInterval(function flushToDisk() {
-      util.fileSystem.lock(self.flushFile, function afterLock(err) {
-        if (err) {
-          throw err;
+    self._flushTimer = setInterval(function flushToDisk() {
+      // a flush still running is not stacked with another one
+      if (!self._flushing) {
+        self.flush(reportFlushError.bind(undefined, self));
+      }
+    }, self.flushInterval);
+    // the timer alone does not keep the process alive, close the database (or use flushOnExit) to flush the last changes
+    self._flushTimer.unref();
+  }
+  self._watching = !!memoryOptions.watch && !self.loadError;
+  if (self._watching) {
+    self._watch();
+  }
+}
+
+Memory.FLUSH_STRATEGIES = FLUSH_STRATEGIES;
+
+Memory.CONFLICT_HANDLERS = CONFLICT_HANDLERS;
+
+Memory.ConflictError = ConflictError;
+
+/**
+ * Checks if the memory holds changes that were not flushed yet
+ *
+ * @returns {boolean}
+ */
+Memory.prototype.isDirty = function isDirty() {
+  return this._version !== this._flushedVersion;
+};
+
+/**
+ * Stops flushing the memory to disk and watching its file, flushing its last changes
+ *
+ * @param {object} options
+ * @param {boolean} options.flush false to drop the memory without flushing it, i.e. when the file was replaced meanwhile
+ * @param callback executes the callback with the default signature (err)
+ */
+Memory.prototype.close = function close(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  options = options || {};
+  callback = callback || defaultCallback;
+  var self = this;
+  var flush = self.flushStrategy !== undefined && options.flush !== false;
+  clearInterval(self._flushTimer);
+  clearTimeout(self._debounceTimer);
+  if (self._watcher) {
+    self._watcher.close();
+  }
+  self._flushTimer = undefined;
+  self._debounceTimer = undefined;
+  // the last flush still checks the file
+  self._watcher = undefined;
+  self.flushStrategy = undefined;
+  if (!flush) {
+    // a flush waiting for the lock meanwhile is dropped too
+    self._discarded = options.flush === false;
+    return process.nextTick(callback);
+  }
+  self.flush(callback);
+};
+
+/**
+ * Writes the changes of the memory to disk while holding the lock of the file, nothing is written if the memory is not dirty.
+ * Flushes requested while one is running are done once it completes, together.
+ *
+ * @param callback executes the callback with the default signature (err) once the changes are on disk
+ */
+Memory.prototype.flush = function flush(callback) {
+  var self = this;
+  callback = callback || defaultCallback;
+  if (self._flushing) {
+    return self._flushing.push(callback);
+  }
+  if (!self.isDirty() || self._discarded) {
+    return process.nextTick(callback);
+  }
+  self._flushing = [];
+  var done = function done(err) {
+    var waiting = self._flushing;
+    self._flushing = undefined;
+    callback(err);
+    if (waiting.length) {
+      self.flush(function afterFlush(err) {
+        waiting.forEach(function notify(waitingCallback) {
+          waitingCallback(err);
+        });
+      });
+    }
+  };
+  util.fileSystem.lock(self.flushFile, function afterLock(err) {
+    if (err) {
+      return done(err);
+    }
+    if (self._discarded) {
+      return util.fileSystem.unlock(self.flushFile, done);
+    }
+    // the file may have been changed since the watcher last checked it
+    self._checkFile(function afterCheck(err) {
+      if (err || !self.isDirty()) {
+        return util.fileSystem.unlock(self.flushFile, function afterUnlock(unlockErr) {
+          return done(err || unlockErr);
+        });
+      }
+      // writes happening while the file is written make the memory dirty again
+      var version = self._version;
+      util.fileSystem.write(self.flushFile, self.memoryTable, self.writeOptions, function afterWrite(err) {
+        if (!err) {
+          self._flushedVersion = version;
         }
-        self.get(function afterGet(err, inMemoryContent) {
-          if (err) {
-            util.fileSystem.unlock(self.flushFile);
-            throw err;
-          }
-          util.fileSystem.write(self.flushFile, inMemoryContent, function afterWrite(err) {
-            util.fileSystem.unlock(self.flushFile);
-            if (err) {
-              throw err;
-            }
+        self._recordSignature(function afterRecord() {
+          util.fileSystem.unlock(self.flushFile, function afterUnlock(unlockErr) {
+            return done(err || unlockErr);
           });
         });
       });
-    }, self.flushInterval);
-  }
-}
+    });
+  });
+};
+
+/**
+ * Reads the file again, dropping the changes the memory did not flush yet
+ *
+ * @param callback executes the callback with the default signature (err)
+ */
+Memory.prototype.reload = function reload(callback) {
+  var self = this;
+  callback = callback || defaultCallback;
+  util.fileSystem.lock(self.flushFile, function afterLock(err) {
+    if (err) {
+      return callback(err);
+    }
+    self._reload(function afterReload(err) {
+      util.fileSystem.unlock(self.flushFile, function afterUnlock(unlockErr) {
+        return callback(err || unlockErr);
+      });
+    });
+  });
+};
+
+/**
+ * Reports the statistics of the memory
+ *
+ * @param callback executes the callback with the signature (err, stats), stats being {dirty}
+ */
+Memory.prototype.stats = function stats(callback) {
+  var self = this;
+  process.nextTick(function afterStats() {
+    return callback(undefined, {dirty: self.isDirty()});
+  });
+};
 
 /**
  * Writes a list of objects to the data driver
@@ -87,6 +282,27 @@ Memory.prototype.set = function set(content, callback) {
   var self = this;
   callback = callback || defaultCallback;
   self.memoryTable = util.clone(content);
+  self._version++;
+  switch (self.flushStrategy) {
+    case 'immediate':
+      // the write completes once flushed
+      return self.flush(function afterFlush(err) {
+        return callback(err, self.memoryTable);
+      });
+    case 'debounce':
+      clearTimeout(self._debounceTimer);
+      self._debounceTimer = setTimeout(function flushWhenIdle() {
+        self._debounceTimer = undefined;
+        self.flush(reportFlushError.bind(undefined, self));
+      }, self.flushInterval);
+      self._debounceTimer.unref();
+      break;
+    case 'every-n-writes':
+      if (self._version - self._flushedVersion >= self.flushWrites && !self._flushing) {
+        self.flush(reportFlushError.bind(undefined, self));
+      }
+      break;
+  }
   return callback(undefined, self.memoryTable);
 };
 
@@ -99,6 +315,9 @@ Memory.prototype.get = function get(callback) {
   var self = this;
   process.nextTick(function(){
     callback = callback || defaultCallback;
+    if (self.loadError) {
+      return callback(self.loadError);
+    }
     return callback(undefined, self.memoryTable);
   });
 };
@@ -127,4 +346,148 @@ Memory.prototype.unlock = function unlock(callback) {
   });
 };
 
+/**
+ * Watches the directory of the file, the file itself is replaced on every write.
+ * The watcher does not keep the process alive.
+ */
+Memory.prototype._watch = function watch() {
+  var self = this;
+  var name = path.basename(self.flushFile);
+  self._recordSignature();
+  console.log('\'Memory\' driver will reload \'%s\' when it changes', self.flushFile);
+  self._watcher = fs.watch(path.dirname(self.flushFile), {persistent: false}, function onChange(event, filename) {
+    if (filename && filename !== name) {
+      return;
+    }
+    self._onChange();
+  });
+  self._watcher.on('error', reportFlushError.bind(undefined, self));
+};
+
+/**
+ * Checks the file when the watcher reports a change, changes reported meanwhile are checked once it completes
+ */
+Memory.prototype._onChange = function onChange() {
+  var self = this;
+  // flushes check the file on their own
+  if (self._flushing || self._discarded || !self._watcher) {
+    return;
+  }
+  if (self._checking) {
+    self._changed = true;
+    return;
+  }
+  self._checking = true;
+  self._changed = false;
+  util.fileSystem.signature(self.flushFile, function afterSignature(err, signature) {
+    if (err || signature === self._fileSignature || signature === 'missing') {
+      return afterCheck(err);
+    }
+    util.fileSystem.lock(self.flushFile, function afterLock(err) {
+      if (err) {
+        return afterCheck(err);
+      }
+      self._checkFile(function afterCheckFile(err) {
+        util.fileSystem.unlock(self.flushFile, function afterUnlock(unlockErr) {
+          return afterCheck(err || unlockErr);
+        });
+      });
+    });
+  });
+
+  function afterCheck(err) {
+    self._checking = false;
+    reportFlushError(self, err);
+    if (self._changed) {
+      self._onChange();
+    }
+  }
+};
+
+/**
+ * Compares the file with the signature last read or written, while holding its lock.
+ * A file changed by someone else is reloaded, unless the memory holds unflushed changes: onConflict decides then.
+ * A removed file is not a change, the next flush writes it again.
+ *
+ * @param callback executes the callback with the default signature (err), err being a ConflictError on conflict
+ */
+Memory.prototype._checkFile = function checkFile(callback) {
+  var self = this;
+  if (!self._watching || self._fileSignature === undefined) {
+    return process.nextTick(callback);
+  }
+  util.fileSystem.signature(self.flushFile, function afterSignature(err, signature) {
+    if (err || signature === self._fileSignature || signature === 'missing') {
+      return callback(err);
+    }
+    if (!self.isDirty() || self.onConflict === 'reload') {
+      return self._reload(callback);
+    }
+    if (self.onConflict === 'overwrite') {
+      self._fileSignature = signature;
+      return callback();
+    }
+    return callback(new ConflictError(self._name, self.flushFile));
+  });
+};
+
+/**
+ * Replaces the memory with the content of the file, while holding its lock
+ */
+Memory.prototype._reload = function reload(callback) {
+  var self = this;
+  util.fileSystem.signature(self.flushFile, function afterSignature(err, signature) {
+    if (err) {
+      return callback(err);
+    }
+    util.fileSystem.read(self.flushFile, {encryption: self.writeOptions.encryption}, function afterRead(err, content) {
+      if (err) {
+        return callback(err);
+      }
+      console.log('Collection \'%s\' has been reloaded from \'%s\'', self._name, self.flushFile);
+      self.memoryTable = util.clone(content);
+      self.loadError = undefined;
+      self._flushedVersion = ++self._version;
+      // only watched files are checked for changes
+      if (self._watching) {
+        self._fileSignature = signature;
+      }
+      if (self._db && typeof self._db.emit === 'function') {
+        self._db.emit('reload', self._name);
+      }
+      return callback();
+    });
+  });
+};
+
+/**
+ * Records the signature of the watched file, once read or written
+ */
+Memory.prototype._recordSignature = function recordSignature(callback) {
+  var self = this;
+  callback = callback || defaultCallback;
+  if (!self._watching) {
+    return process.nextTick(callback);
+  }
+  util.fileSystem.signature(self.flushFile, function afterSignature(err, signature) {
+    if (!err) {
+      self._fileSignature = signature;
+    }
+    return callback();
+  });
+};
+
+/**
+ * Surfaces a flush error through the 'flushError' event of the database, it is logged when nobody listens
+ */
+function reportFlushError(memory, err) {
+  if (!err) {
+    return;
+  }
+  if (memory._db && typeof memory._db.listenerCount === 'function' && memory._db.listenerCount('flushError') > 0) {
+    return memory._db.emit('flushError', err, memory._name);
+  }
+  console.error('Cannot flush Collection \'%s\' to \'%s\': %s', memory._name, memory.flushFile, err.message);
+}
+
 module.exports = Memory;
@@ -0,0 +1,246 @@
+/**
+ * (C) Copyright 2026 Manuel Martins.
+ *
+ * This module is inspired by json_file_system.
+ * (json_file_system is Copyright (c) 2014 Jalal Hejazi,
+ *  Licensed under the MIT license.)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * Created by: ManuelMartins
+ * Created on: 19-10-2026
+ *
+ */
+
+'use strict';
+
+var _ = require('underscore');
+var util = require('./util');
+var matchCriteria = require('json-criteria-ext').test;
+
+/**
+ * Builds a comparator from a MongoDB sort specification, i.e. {age: -1, 'profile.name': 1}
+ *
+ * @param spec the sort specification
+ * @returns {Function} a comparator to be used with Array.prototype.sort
+ */
+module.exports.comparator = function comparator(spec) {
+  if (!spec || typeof spec !== 'object' || _.isArray(spec)) {
+    throw new Error('Sort specification must be an object, i.e. {field: 1 | -1}');
+  }
+  var keys = Object.keys(spec);
+  keys.forEach(function validateDirection(key) {
+    if (spec[key] !== 1 && spec[key] !== -1) {
+      throw new Error('Invalid sort direction for \'' + key + '\', expected 1 or -1');
+    }
+  });
+  return function compareDocuments(a, b) {
+    for (var i = 0; i < keys.length; i++) {
+      var result = util.compare(util.getPath(a, keys[i]), util.getPath(b, keys[i])) * spec[keys[i]];
+      if (result !== 0) {
+        return result;
+      }
+    }
+    return 0;
+  };
+};
+
+/**
+ * Sorts the documents using a MongoDB sort specification.
+ * Documents comparing equal keep their original order.
+ *
+ * @param documents the documents to sort
+ * @param spec the sort specification
+ * @returns {Array} a new sorted array
+ */
+module.exports.sort = function sort(documents, spec) {
+  var compareDocuments = module.exports.comparator(spec);
+  return documents
+    .map(function withIndex(document, index) {
+      return {document: document, index: index};
+    })
+    .sort(function compareEntries(a, b) {
+      return compareDocuments(a.document, b.document) || a.index - b.index;
+    })
+    .map(function withoutIndex(entry) {
+      return entry.document;
+    });
+};
+
+/**
+ * Validates a projection and tells how it should be applied.
+ * Projections are either inclusions ({name: 1}) or exclusions ({token: 0}), '_id' can be excluded from both.
+ * $elemMatch counts as an inclusion and $slice does not change the projection type.
+ *
+ * @param projection the projection
+ * @returns {boolean} true if the projection is an inclusion
+ */
+function isInclusion(projection) {
+  var inclusion;
+  for (var field in projection) {
+    var value = projection[field];
+    var included;
+    if (value && typeof value === 'object') {
+      if ('$elemMatch' in value) {
+        included = true;
+      } else if ('$slice' in value) {
+        continue;
+      } else {
+        throw new Error('Unsupported projection operator for \'' + field + '\': ' + Object.keys(value).join(', '));
+      }
+    } else if (field === '_id') {
+      continue;
+    } else {
+      included = !!value;
+    }
+    if (inclusion !== undefined && inclusion !== included) {
+      throw new Error('Projection cannot have a mix of inclusion and exclusion (\'' + field + '\')');
+    }
+    inclusion = included;
+  }
+  if (inclusion === undefined) {
+    // only _id or $slice were given
+    return projection._id !== undefined && !!projection._id && Object.keys(projection).length === 1;
+  }
+  return inclusion;
+}
+
+/**
+ * Validates a projection, throwing if it is not supported
+ *
+ * @param projection the projection
+ */
+module.exports.validateProjection = function validateProjection(projection) {
+  if (!projection || typeof projection !== 'object' || _.isArray(projection)) {
+    throw new Error('Projection must be an object, i.e. {field: 1} or {field: 0}');
+  }
+  isInclusion(projection);
+};
+
+/**
+ * Applies a projection to a document.
+ * Supports inclusion, exclusion, '_id' suppression, $slice and $elemMatch projections.
+ *
+ * @param document the document to project
+ * @param projection the projection
+ * @returns {object} a new document holding the projected fields
+ */
+module.exports.project = function project(document, projection) {
+  var inclusion = isInclusion(projection);
+  var projected;
+  if (inclusion) {
+    projected = {};
+    if (projection._id === undefined || projection._id) {
+      if (document._id !== undefined) {
+        projected._id = document._id;
+      }
+    }
+    for (var field in projection) {
+      if (field !== '_id' && projection[field] && typeof projection[field] !== 'object') {
+        includePath(document, projected, field.split('.'));
+      }
+    }
+  } else {
+    projected = util.deepClone(document);
+    for (var excluded in projection) {
+      if (!projection[excluded] && typeof projection[excluded] !== 'object') {
+        excludePath(projected, excluded.split('.'));
+      }
+    }
+  }
+  for (var operatorField in projection) {
+    var operator = projection[operatorField];
+    if (operator && typeof operator === 'object') {
+      var array = util.getPath(document, operatorField);
+      if (!_.isArray(array)) {
+        if (inclusion && array !== undefined && '$slice' in operator) {
+          util.setPath(projected, operatorField, util.deepClone(array));
+        }
+        continue;
+      }
+      if ('$elemMatch' in operator) {
+        var match = _.find(array, function matches(element) {
+          return matchCriteria({element: [element]}, {element: {$elemMatch: operator.$elemMatch}});
+        });
+        if (match !== undefined) {
+          util.setPath(projected, operatorField, [util.deepClone(match)]);
+        }
+      } else {
+        util.setPath(projected, operatorField, util.deepClone(slice(array, operator.$slice, operatorField)));
+      }
+    }
+  }
+  return projected;
+};
+
+function slice(array, spec, field) {
+  if (typeof spec === 'number') {
+    return spec < 0 ? array.slice(spec) : array.slice(0, spec);
+  }
+  if (_.isArray(spec) && spec.length === 2 && spec[1] > 0) {
+    var start = spec[0] < 0 ? Math.max(array.length + spec[0], 0) : spec[0];
+    return array.slice(start, start + spec[1]);
+  }
+  throw new Error('$slice projection for \'' + field + '\' expects a number or [skip, limit]');
+}
+
+/**
+ * Copies a (dot notation) path from the source to the target document,
+ * projecting every embedded document when the path goes through an array.
+ */
+function includePath(source, target, segments) {
+  if (!source || typeof source !== 'object' || !(segments[0] in source)) {
+    return;
+  }
+  var key = segments[0];
+  var value = source[key];
+  if (segments.length === 1) {
+    target[key] = util.deepClone(value);
+  } else if (_.isArray(value)) {
+    var targetArray = _.isArray(target[key]) ? target[key] : [];
+    var projectedArray = [];
+    value.forEach(function includeElement(element, index) {
+      if (element && typeof element === 'object' && !_.isArray(element)) {
+        var projectedElement = targetArray[index] || {};
+        includePath(element, projectedElement, segments.slice(1));
+        projectedArray[index] = projectedElement;
+      }
+    });
+    target[key] = projectedArray.filter(function isProjected(element) {
+      return element !== undefined;
+    });
+  } else if (value && typeof value === 'object') {
+    target[key] = target[key] || {};
+    includePath(value, target[key], segments.slice(1));
+  }
+}
+
+/**
+ * Removes a (dot notation) path from the document, going through arrays of embedded documents
+ */
+function excludePath(document, segments) {
+  if (!document || typeof document !== 'object') {
+    return;
+  }
+  if (_.isArray(document)) {
+    document.forEach(function excludeElement(element) {
+      excludePath(element, segments);
+    });
+    return;
+  }
+  if (segments.length === 1) {
+    delete document[segments[0]];
+  } else {
+    excludePath(document[segments[0]], segments.slice(1));
+  }
+}
@@ -0,0 +1,545 @@
+/**
+ * (C) Copyright 2026 Manuel Martins.
+ *
+ * This module is inspired by json_file_system.
+ * (json_file_system is Copyright (c) 2014 Jalal Hejazi,
+ *  Licensed under the MIT license.)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * Created by: ManuelMartins
+ * Created on: 19-10-2026
+ *
+ */
+
+'use strict';
+
+var _ = require('underscore');
+var util = require('./util');
+var query = require('./query');
+var matchCriteria = require('json-criteria-ext').test;
+
+/**
+ * Field update operators, each one receives the document being updated,
+ * the (dot notation) field path, the operator argument for that field and the update context.
+ * Positional operators are already resolved to concrete paths when the operator is called.
+ */
+var OPERATORS = {
+
+  $set: function $set(document, field, value) {
+    setField(document, field, util.deepClone(value));
+  },
+
+  $setOnInsert: function $setOnInsert(document, field, value, context) {
+    if (context.isInsert) {
+      setField(document, field, util.deepClone(value));
+    }
+  },
+
+  $unset: function $unset(document, field) {
+    unsetField(document, field);
+  },
+
+  $inc: function $inc(document, field, value) {
+    var current = getField(document, field);
+    assertNumeric('$inc', field, current, value);
+    setField(document, field, (current === undefined ? 0 : current) + value);
+  },
+
+  $mul: function $mul(document, field, value) {
+    var current = getField(document, field);
+    assertNumeric('$mul', field, current, value);
+    setField(document, field, (current === undefined ? 0 : current) * value);
+  },
+
+  $min: function $min(document, field, value) {
+    var current = getField(document, field);
+    if (current === undefined || util.compare(value, current) < 0) {
+      setField(document, field, util.deepClone(value));
+    }
+  },
+
+  $max: function $max(document, field, value) {
+    var current = getField(document, field);
+    if (current === undefined || util.compare(value, current) > 0) {
+      setField(document, field, util.deepClone(value));
+    }
+  },
+
+  $rename: function $rename(document, field, value) {
+    if (typeof value !== 'string' || !value || value === field) {
+      throw new Error('$rename target for \'' + field + '\' must be a non-empty string different from the source');
+    }
+    if (value.indexOf('$') !== -1 || field.indexOf('$') !== -1) {
+      throw new Error('$rename does not support positional operators');
+    }
+    var current = getField(document, field);
+    if (current !== undefined) {
+      unsetField(document, field);
+      setField(document, value, current);
+    }
+  },
+
+  $push: function $push(document, field, value) {
+    var array = getArray(document, field, '$push');
+    var modifiers = pushModifiers(field, value);
+    var position = modifiers.$position === undefined ? array.length : modifiers.$position;
+    if (position < 0) {
+      position = Math.max(array.length + position, 0);
+    }
+    array.splice.apply(array, [position, 0].concat(util.deepClone(modifiers.$each)));
+    if (modifiers.$sort !== undefined) {
+      sortArray(array, modifiers.$sort);
+    }
+    if (modifiers.$slice !== undefined) {
+      array = modifiers.$slice < 0 ? array.slice(modifiers.$slice) : array.slice(0, modifiers.$slice);
+    }
+    setField(document, field, array);
+  },
+
+  $addToSet: function $addToSet(document, field, value) {
+    var array = getArray(document, field, '$addToSet');
+    var values = isEachModifier(value) ? value.$each : [value];
+    if (!_.isArray(values)) {
+      throw new Error('$each for \'' + field + '\' must be an array');
+    }
+    values.forEach(function addIfMissing(item) {
+      var exists = array.some(function isEqual(element) {
+        return _.isEqual(element, item);
+      });
+      if (!exists) {
+        array.push(util.deepClone(item));
+      }
+    });
+    setField(document, field, array);
+  },
+
+  $pull: function $pull(document, field, condition) {
+    var array = getField(document, field);
+    if (array === undefined) {
+      return;
+    }
+    assertArray('$pull', field, array);
+    setField(document, field, array.filter(function keep(element) {
+      return !pullMatches(element, condition);
+    }));
+  },
+
+  $pullAll: function $pullAll(document, field, values) {
+    if (!_.isArray(values)) {
+      throw new Error('$pullAll for \'' + field + '\' requires an array argument');
+    }
+    var array = getField(document, field);
+    if (array === undefined) {
+      return;
+    }
+    assertArray('$pullAll', field, array);
+    setField(document, field, array.filter(function keep(element) {
+      return !values.some(function isEqual(value) {
+        return _.isEqual(element, value);
+      });
+    }));
+  },
+
+  $pop: function $pop(document, field, value) {
+    if (value !== 1 && value !== -1) {
+      throw new Error('$pop for \'' + field + '\' expects 1 or -1');
+    }
+    var array = getField(document, field);
+    if (array === undefined) {
+      return;
+    }
+    assertArray('$pop', field, array);
+    setField(document, field, value === 1 ? array.slice(0, -1) : array.slice(1));
+  },
+
+  $currentDate: function $currentDate(document, field, value) {
+    if (value === true || (value && value.$type === 'date')) {
+      setField(document, field, new Date());
+    } else if (value && value.$type === 'timestamp') {
+      setField(document, field, Date.now());
+    } else {
+      throw new Error('$currentDate for \'' + field + '\' must be true or {$type: \'date\' | \'timestamp\'}');
+    }
+  }
+};
+
+/**
+ * Per-field operators accepted in replacement style updates, i.e. {field: {$inc: 1}}
+ */
+var LEGACY_OPERATORS = ['$inc'];
+
+/**
+ * Checks if the update criteria is expressed with update operators ({$set: {...}})
+ * instead of replacement fields ({field: value}).
+ * Mixing both styles is not allowed.
+ *
+ * @param updateCriteria the update criteria
+ * @returns {boolean}
+ */
+function isOperatorUpdate(updateCriteria) {
+  var keys = Object.keys(updateCriteria);
+  var operators = keys.filter(function isOperator(key) {
+    return key.charAt(0) === '$';
+  });
+  if (operators.length > 0 && operators.length !== keys.length) {
+    throw new Error('Update criteria cannot mix update operators (' + operators.join(', ') +
+      ') with replacement fields (' + _.difference(keys, operators).join(', ') + ')');
+  }
+  return operators.length > 0;
+}
+
+/**
+ * Validates an update criteria without applying it, so we can fail before touching any document.
+ *
+ * @param updateCriteria the update criteria
+ */
+module.exports.validate = function validate(updateCriteria) {
+  if (!updateCriteria || typeof updateCriteria !== 'object' || _.isArray(updateCriteria)) {
+    throw new Error('Update criteria must be an object!');
+  }
+  if (isOperatorUpdate(updateCriteria)) {
+    for (var operator in updateCriteria) {
+      if (!OPERATORS[operator]) {
+        throw new Error('Unsupported update operator: ' + operator);
+      }
+      if (!updateCriteria[operator] || typeof updateCriteria[operator] !== 'object') {
+        throw new Error('Update operator ' + operator + ' expects an object of fields');
+      }
+    }
+  } else {
+    for (var field in updateCriteria) {
+      var value = updateCriteria[field];
+      if (isLegacyOperator(value)) {
+        var unsupported = _.difference(Object.keys(value), LEGACY_OPERATORS);
+        if (unsupported.length > 0) {
+          throw new Error('Unsupported update operator: ' + unsupported.join(', '));
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Applies the update criteria to a copy of the document.
+ * The original document is left untouched so a failing update never leaves it half applied.
+ *
+ * @param document the document to update
+ * @param updateCriteria the update criteria
+ * @param {object} options
+ * @param {boolean} options.isInsert true if the document is being created by an upsert
+ * @param {object} options.criteria the criteria that matched the document, used by the positional $ operator
+ * @param {Array} options.arrayFilters filters used by the $[<identifier>] positional operator
+ * @returns {object} the updated document
+ */
+module.exports.apply = function apply(document, updateCriteria, options) {
+  options = options || {};
+  var context = {
+    isInsert: !!options.isInsert,
+    criteria: options.criteria || {},
+    arrayFilters: parseArrayFilters(options.arrayFilters)
+  };
+  var updated = util.deepClone(document);
+  if (isOperatorUpdate(updateCriteria)) {
+    for (var operator in updateCriteria) {
+      var handler = OPERATORS[operator];
+      if (!handler) {
+        throw new Error('Unsupported update operator: ' + operator);
+      }
+      var fields = updateCriteria[operator];
+      for (var field in fields) {
+        assertNotId(field, operator, context);
+        expandPath(updated, field, context).forEach(function applyOperator(path) {
+          handler(updated, path, fields[field], context);
+        });
+      }
+    }
+  } else {
+    for (var propertyName in updateCriteria) {
+      var value = updateCriteria[propertyName];
+      expandPath(updated, propertyName, context).forEach(function applyReplacement(path) {
+        if (isLegacyOperator(value)) {
+          for (var legacyOperator in value) {
+            if (LEGACY_OPERATORS.indexOf(legacyOperator) === -1) {
+              throw new Error('Unsupported update operator: ' + legacyOperator);
+            }
+            OPERATORS[legacyOperator](updated, path, value[legacyOperator], context);
+          }
+        } else {
+          // Handle regular property updates
+          setField(updated, path, util.deepClone(value));
+        }
+      });
+    }
+  }
+  return updated;
+};
+
+/**
+ * Builds the document to be inserted by an upsert.
+ * Operator updates start from the equality fields of the criteria, replacement updates are inserted as they are.
+ *
+ * @param criteria the criteria that matched nothing
+ * @param updateCriteria the update criteria
+ * @returns {object} the document to insert
+ */
+module.exports.upsertDocument = function upsertDocument(criteria, updateCriteria) {
+  if (!isOperatorUpdate(updateCriteria)) {
+    return module.exports.apply({}, updateCriteria, {isInsert: true});
+  }
+  var base = {};
+  for (var field in criteria) {
+    var value = criteria[field];
+    if (field.charAt(0) !== '$' && field !== '_id' && field.indexOf('$') === -1 && !isLegacyOperator(value)) {
+      util.setPath(base, field, util.deepClone(value));
+    }
+  }
+  return module.exports.apply(base, updateCriteria, {isInsert: true});
+};
+
+module.exports.isOperatorUpdate = isOperatorUpdate;
+
+function isLegacyOperator(value) {
+  if (!value || typeof value !== 'object' || _.isArray(value) || value instanceof Date) {
+    return false;
+  }
+  var keys = Object.keys(value);
+  return keys.length > 0 && keys.every(function isOperator(key) {
+    return key.charAt(0) === '$';
+  });
+}
+
+function assertNumeric(operator, field, current, value) {
+  if (typeof value !== 'number' || (current !== undefined && typeof current !== 'number')) {
+    throw new Error('Cannot apply ' + operator + ' to a non-numeric value or with a non-numeric argument! field: ' +
+      field + ', current value: ' + current + ' (' + typeof current + '), argument: ' + value + ' (' + typeof value + ')');
+  }
+}
+
+function assertArray(operator, field, value) {
+  if (!_.isArray(value)) {
+    throw new Error('Cannot apply ' + operator + ' to a non-array field! field: ' + field + ', current value: ' +
+      value + ' (' + typeof value + ')');
+  }
+}
+
+/**
+ * Returns a copy of the array stored in the field, or a new array if the field is not set
+ */
+function getArray(document, field, operator) {
+  var array = getField(document, field);
+  if (array === undefined) {
+    return [];
+  }
+  assertArray(operator, field, array);
+  return array.slice();
+}
+
+function isEachModifier(value) {
+  return !!value && typeof value === 'object' && !_.isArray(value) && '$each' in value;
+}
+
+function pushModifiers(field, value) {
+  if (!isEachModifier(value)) {
+    var keys = value && typeof value === 'object' && !_.isArray(value) ? Object.keys(value) : [];
+    if (keys.length > 0 && _.intersection(keys, PUSH_MODIFIERS).length > 0) {
+      throw new Error('$push modifiers for \'' + field + '\' require $each');
+    }
+    return {$each: [value]};
+  }
+  var unsupported = _.difference(Object.keys(value), PUSH_MODIFIERS);
+  if (unsupported.length > 0) {
+    throw new Error('Unsupported $push modifier: ' + unsupported.join(', '));
+  }
+  if (!_.isArray(value.$each)) {
+    throw new Error('$each for \'' + field + '\' must be an array');
+  }
+  if (value.$position !== undefined && !isInteger(value.$position)) {
+    throw new Error('$position for \'' + field + '\' must be an integer');
+  }
+  if (value.$slice !== undefined && !isInteger(value.$slice)) {
+    throw new Error('$slice for \'' + field + '\' must be an integer');
+  }
+  return value;
+}
+
+var PUSH_MODIFIERS = ['$each', '$position', '$slice', '$sort'];
+
+function isInteger(value) {
+  return typeof value === 'number' && value % 1 === 0;
+}
+
+/**
+ * Sorts an array in place using either a direction (1 / -1) for primitive elements
+ * or a {field: direction} specification for embedded documents.
+ */
+function sortArray(array, spec) {
+  if (spec === 1 || spec === -1) {
+    return array.sort(function compareElements(a, b) {
+      return util.compare(a, b) * spec;
+    });
+  }
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('$sort must be 1, -1 or a {field: 1 | -1} specification');
+  }
+  return array.sort(query.comparator(spec));
+}
+
+/**
+ * Checks if an array element matches a $pull condition.
+ * Conditions can be plain values, query operators applied to the element ({$gte: 6})
+ * or criteria applied to embedded documents ({score: 8, item: 'B'}), evaluated with json-criteria.
+ */
+function pullMatches(element, condition) {
+  if (!condition || typeof condition !== 'object' || _.isArray(condition) || condition instanceof Date) {
+    return _.isEqual(element, condition);
+  }
+  var keys = Object.keys(condition);
+  var isValueCondition = keys.length > 0 && keys.every(function isOperator(key) {
+    return key.charAt(0) === '$' && LOGICAL_OPERATORS.indexOf(key) === -1;
+  });
+  if (isValueCondition) {
+    return matchCriteria({value: element}, {value: condition});
+  }
+  return !!element && typeof element === 'object' && matchCriteria(element, condition);
+}
+
+var LOGICAL_OPERATORS = ['$and', '$or', '$nor'];
+
+function assertNotId(field, operator, context) {
+  if (field === '_id' && !context.isInsert && operator !== '$setOnInsert') {
+    throw new Error('Performing an update with ' + operator + ' on the path \'_id\' is not allowed');
+  }
+}
+
+/**
+ * Resolves the positional operators ($, $[] and $[<identifier>]) of a path into concrete dot notation paths.
+ * A path without positional operators resolves to itself.
+ *
+ * @param document the document being updated
+ * @param path the path as written in the update criteria
+ * @param context the update context
+ * @returns {Array} the concrete paths, possibly none when an array is empty or no element matches a filter
+ */
+function expandPath(document, path, context) {
+  if (path.indexOf('$') === -1) {
+    return [path];
+  }
+  var paths = [''];
+  path.split('.').forEach(function expandSegment(segment) {
+    var expanded = [];
+    paths.forEach(function expandPrefix(prefix) {
+      if (segment === '$') {
+        expanded.push(joinPath(prefix, positionalIndex(document, prefix, context)));
+      } else if (segment === '$[]') {
+        positionalArray(document, prefix).forEach(function all(element, index) {
+          expanded.push(joinPath(prefix, index));
+        });
+      } else if (ARRAY_FILTER_SEGMENT.test(segment)) {
+        var identifier = segment.slice(2, -1);
+        var filter = context.arrayFilters[identifier];
+        if (!filter) {
+          throw new Error('No array filter found for identifier \'' + identifier + '\' in path \'' + path + '\'');
+        }
+        positionalArray(document, prefix).forEach(function filtered(element, index) {
+          var candidate = {};
+          candidate[identifier] = element;
+          if (matchCriteria(candidate, filter)) {
+            expanded.push(joinPath(prefix, index));
+          }
+        });
+      } else {
+        expanded.push(joinPath(prefix, segment));
+      }
+    });
+    paths = expanded;
+  });
+  return paths;
+}
+
+var ARRAY_FILTER_SEGMENT = /^\$\[[a-z][a-zA-Z0-9]*\]$/;
+
+function joinPath(prefix, segment) {
+  return prefix ? prefix + '.' + segment : String(segment);
+}
+
+function positionalArray(document, prefix) {
+  var array = util.getPath(document, prefix);
+  if (array === undefined) {
+    return [];
+  }
+  if (!_.isArray(array)) {
+    throw new Error('Cannot apply array updates to non-array element ' + prefix + ': ' + JSON.stringify(array));
+  }
+  return array;
+}
+
+/**
+ * Finds the index of the first array element matched by the criteria, as the positional $ operator does.
+ * Each element is tested on its own against the criteria that refer to the array,
+ * both as a single element array ({$elemMatch: ...}) and as the plain value ('array.field': ...).
+ */
+function positionalIndex(document, prefix, context) {
+  var relevant = {};
+  var hasCriteria = false;
+  for (var key in context.criteria) {
+    if (key === prefix || key.indexOf(prefix + '.') === 0) {
+      relevant[key] = context.criteria[key];
+      hasCriteria = true;
+    }
+  }
+  var array = positionalArray(document, prefix);
+  for (var i = 0; hasCriteria && i < array.length; i++) {
+    var asArray = {};
+    var asValue = {};
+    util.setPath(asArray, prefix, [array[i]]);
+    util.setPath(asValue, prefix, array[i]);
+    if (matchCriteria(asArray, relevant) || matchCriteria(asValue, relevant)) {
+      return i;
+    }
+  }
+  throw new Error('The positional operator did not find the match needed from the query for \'' + prefix + '\'');
+}
+
+/**
+ * Groups the array filters by their top level identifier, i.e. [{'elem.grade': {$gte: 85}}] => {elem: {...}}
+ */
+function parseArrayFilters(arrayFilters) {
+  var filters = {};
+  if (arrayFilters === undefined) {
+    return filters;
+  }
+  if (!_.isArray(arrayFilters)) {
+    throw new Error('arrayFilters must be an array of filter documents');
+  }
+  arrayFilters.forEach(function groupByIdentifier(filter) {
+    for (var key in filter) {
+      var identifier = key.split('.')[0];
+      filters[identifier] = filters[identifier] || {};
+      filters[identifier][key] = filter[key];
+    }
+  });
+  return filters;
+}
+
+function getField(document, field) {
+  return util.getPath(document, field);
+}
+
+function setField(document, field, value) {
+  util.setPath(document, field, value);
+}
+
+function unsetField(document, field) {
+  util.unsetPath(document, field);
+}
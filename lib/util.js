@@ -26,9 +26,13 @@
 
 var ENCODING = 'utf-8';
 var fs = require('fs');
+var path = require('path');
+var stream = require('stream');
+var zlib = require('zlib');
 var _ = require('underscore');
 var uuid = require('uuid');
 var lockFile = require('lockfile');
+var encryption = require('./encryption');
 
 /**
  * Generates an UUID string without '-'
@@ -47,42 +51,639 @@ module.exports.flatten = _.flatten;
  */
 module.exports.clone = _.clone;
 
+/**
+ * Deep clones a document, keeping Date instances intact
+ *
+ * @param value the value to clone
+ */
+module.exports.deepClone = function deepClone(value) {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (_.isArray(value)) {
+    return value.map(deepClone);
+  }
+  if (value && typeof value === 'object') {
+    var copy = {};
+    for (var key in value) {
+      if (value.hasOwnProperty(key)) {
+        copy[key] = deepClone(value[key]);
+      }
+    }
+    return copy;
+  }
+  return value;
+};
+
+/**
+ * Reads the value at a dot notation path ('profile.address.city', 'identities.0.provider')
+ *
+ * @param document the document to read from
+ * @param path the dot notation path
+ * @returns {*} the value or undefined if the path does not exist
+ */
+module.exports.getPath = function getPath(document, path) {
+  var segments = path.split('.');
+  var current = document;
+  for (var i = 0; i < segments.length; i++) {
+    if (current === null || current === undefined || typeof current !== 'object') {
+      return undefined;
+    }
+    current = current[segments[i]];
+  }
+  return current;
+};
+
+/**
+ * Sets the value at a dot notation path, creating the missing embedded documents
+ *
+ * @param document the document to change
+ * @param path the dot notation path
+ * @param value the value to set
+ */
+module.exports.setPath = function setPath(document, path, value) {
+  var segments = path.split('.');
+  var current = document;
+  for (var i = 0; i < segments.length - 1; i++) {
+    var next = current[segments[i]];
+    if (next === undefined || next === null) {
+      next = current[segments[i]] = {};
+    } else if (typeof next !== 'object' || next instanceof Date) {
+      throw new Error('Cannot create field \'' + segments[i + 1] + '\' in element {' + segments[i] + ': ' +
+        JSON.stringify(next) + '}');
+    }
+    current = next;
+  }
+  current[segments[segments.length - 1]] = value;
+};
+
+/**
+ * Removes the value at a dot notation path, array elements are set to null as MongoDB does
+ *
+ * @param document the document to change
+ * @param path the dot notation path
+ */
+module.exports.unsetPath = function unsetPath(document, path) {
+  var segments = path.split('.');
+  var last = segments.pop();
+  var parent = segments.length ? module.exports.getPath(document, segments.join('.')) : document;
+  if (parent === null || parent === undefined || typeof parent !== 'object') {
+    return;
+  }
+  if (_.isArray(parent)) {
+    if (last in parent) {
+      parent[last] = null;
+    }
+  } else {
+    delete parent[last];
+  }
+};
+
+/**
+ * Compares two values following (a simplified version of) MongoDB sort order:
+ * null < numbers < strings < objects < arrays < booleans < dates
+ *
+ * @param a
+ * @param b
+ * @returns {number} -1, 0 or 1
+ */
+module.exports.compare = function compare(a, b) {
+  var typeA = typeOrder(a);
+  var typeB = typeOrder(b);
+  if (typeA !== typeB) {
+    return typeA < typeB ? -1 : 1;
+  }
+  if (a instanceof Date) {
+    a = a.getTime();
+    b = b.getTime();
+  } else if (typeA === TYPE_ORDER.object || typeA === TYPE_ORDER.array) {
+    a = JSON.stringify(a);
+    b = JSON.stringify(b);
+  }
+  if (a === b || (a === null && b === null)) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+};
+
+var TYPE_ORDER = {
+  null: 0,
+  number: 1,
+  string: 2,
+  object: 3,
+  array: 4,
+  boolean: 5,
+  date: 6
+};
+
+/**
+ * Returns the position of the value type in the MongoDB sort order used by compare
+ *
+ * @param value
+ * @returns {number}
+ */
+module.exports.typeOrder = typeOrder;
+
+function typeOrder(value) {
+  if (value === null || value === undefined) {
+    return TYPE_ORDER.null;
+  }
+  if (value instanceof Date) {
+    return TYPE_ORDER.date;
+  }
+  if (_.isArray(value)) {
+    return TYPE_ORDER.array;
+  }
+  return TYPE_ORDER[typeof value] !== undefined ? TYPE_ORDER[typeof value] : TYPE_ORDER.object;
+}
+
+/**
+ * Wraps a method returning a Promise (or a thenable) so it also accepts a trailing node-style callback.
+ * The callback, if any, is called with (err, result) and the Promise is returned either way.
+ *
+ * @param {Function} method the method to wrap
+ * @returns {Function}
+ */
+module.exports.withCallback = function withCallback(method) {
+  return function methodWithCallback() {
+    var args = Array.prototype.slice.call(arguments);
+    var callback = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+    var result = method.apply(this, args);
+    if (callback) {
+      // the callback runs outside of the promise chain, so its exceptions are not swallowed
+      result.then(function onResult(value) {
+        process.nextTick(callback, undefined, value);
+      }, function onError(err) {
+        process.nextTick(callback, err);
+      });
+    }
+    return result;
+  };
+};
+
 /**
  * File system methods to handlefile IO
+ * Files named with a compression extension ('.gz' for gzip, '.br' for brotli) are compressed and decompressed transparently.
+ * Files are encrypted and decrypted with the encryption state given in the options (see lib/encryption), if any.
  */
 module.exports.fileSystem = {
 
-  write: function write(file, content, callback) {
+  /**
+   * Writes the content to a temporary file renamed over the file, so the file is never left half written.
+   * The temporary file is always flushed to the storage device before the rename, so a crash leaves either version of the file.
+   * With options.fsync the directory is also flushed, the rename itself survives a crash once the write completed.
+   * The content is compressed according to the extension of the file, i.e. 'Users.json.gz', then encrypted.
+   *
+   * @param file the file to write
+   * @param content the content to write, defaults to an empty array
+   * @param {object} options
+   * @param {boolean} options.fsync true to wait for the rename to reach the storage device
+   * @param {string} options.format one of ['json', 'ndjson'], defaults to 'json'
+   * @param {object} options.encryption the encryption state, the content is encrypted with its current key
+   * @param callback executes the callback with the default signature (err)
+   */
+  write: function write(file, content, options, callback) {
     process.nextTick(function(){
       if (typeof content === 'function') {
         callback = content;
         content = [];
+        options = {};
+      } else if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+      content = module.exports.fileSystem.serialize(content, options.format);
+      var compression = module.exports.fileSystem.compressionOf(file);
+      if (!compression) {
+        return writeAtomically(file, encryption.encrypt(content, options.encryption), options, callback);
+      }
+      COMPRESSIONS[compression].compress(content, function afterCompress(err, compressed) {
+        if (err) {
+          return callback(err);
+        }
+        writeAtomically(file, encryption.encrypt(compressed, options.encryption), options, callback);
+      });
+    });
+  },
+
+  /**
+   * Reads a list of documents, the format ('json' or 'ndjson') is detected from the content
+   *
+   * @param file the file to read
+   * @param {object} options
+   * @param {object} options.encryption the encryption state, holding the key the file was encrypted with
+   * @param callback executes the callback with the signature (err, documents)
+   */
+  read: function read(file, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    return module.exports.fileSystem.readContent(file, {encryption: options.encryption}, function afterReadContent(err, content) {
+      if (err) {
+        return callback(err);
+      }
+      var documents;
+      try {
+        documents = module.exports.fileSystem.parse(content);
+      } catch (error) {
+        return callback(error);
       }
-      content = JSON.stringify(_.flatten(content), null, 0);
-      fs.writeFile(file, content, function afterWriteFile(err) {
+      return callback(undefined, documents);
+    });
+  },
+
+  /**
+   * Reads a list of documents synchronously
+   *
+   * @param file the file to read
+   * @param {object} options
+   * @param {string} options.compression the compression of the file, defaults to the one of its extension
+   * @param {object} options.encryption the encryption state, holding the key the file was encrypted with
+   * @returns {Array}
+   */
+  readSync: function readSync(file, options) {
+    options = options || {};
+    var content = encryption.decrypt(fs.readFileSync(file), options.encryption, file);
+    var compression = options.compression || module.exports.fileSystem.compressionOf(file);
+    if (compression) {
+      content = COMPRESSIONS[compression].decompressSync(content);
+    }
+    return module.exports.fileSystem.parse(content.toString(ENCODING));
+  },
+
+  /**
+   * Reads the content of a file, decompressed according to its extension
+   *
+   * @param file the file to read
+   * @param {object} options
+   * @param {boolean} options.partial true to return the content that can be decompressed from a truncated file
+   * @param {object} options.encryption the encryption state, holding the key the file was encrypted with
+   * @param callback executes the callback with the signature (err, content)
+   */
+  readContent: function readContent(file, options, callback) {
+    var compression = module.exports.fileSystem.compressionOf(file);
+    fs.readFile(file, function afterReadFile(err, content) {
+      if (err) {
         return callback(err);
+      }
+      try {
+        content = encryption.decrypt(content, options.encryption, file);
+      } catch (error) {
+        return callback(error);
+      }
+      if (!compression) {
+        return callback(undefined, content.toString(ENCODING));
+      }
+      COMPRESSIONS[compression].decompress(content, options.partial, function afterDecompress(err, decompressed) {
+        return callback(err, decompressed && decompressed.toString(ENCODING));
       });
     });
   },
 
-  read: function read(file, callback) {
-    return fs.readFile(file, ENCODING, function afterReadFile(err, content) {
+  /**
+   * Checks that a file can be opened with the encryption state, reading its header only
+   *
+   * @param file the file to check
+   * @param {object} options
+   * @param {object} options.encryption the encryption state
+   * @param callback executes the callback with the signature (err), err being an EncryptionError if the key does not match
+   */
+  checkEncryption: function checkEncryption(file, options, callback) {
+    fs.open(file, 'r', function afterOpen(err, fd) {
       if (err) {
         return callback(err);
-      } else {
-        return callback(undefined, JSON.parse(content));
       }
+      var header = Buffer.alloc(encryption.HEADER_LENGTH);
+      fs.read(fd, header, 0, header.length, 0, function afterRead(err, bytesRead) {
+        fs.close(fd, function afterClose(closeErr) {
+          if (err || closeErr) {
+            return callback(err || closeErr);
+          }
+          try {
+            encryption.check(header.slice(0, bytesRead), options.encryption, file);
+          } catch (error) {
+            return callback(error);
+          }
+          return callback();
+        });
+      });
+    });
+  },
+
+  /**
+   * Opens a stream of the content of a file, decompressed according to its extension.
+   * Destroying the returned stream closes the file.
+   *
+   * @param file the file to read
+   * @returns {stream.Readable} a readable stream of strings
+   */
+  createReadStream: function createReadStream(file) {
+    var compression = module.exports.fileSystem.compressionOf(file);
+    if (!compression) {
+      return fs.createReadStream(file, {encoding: ENCODING});
+    }
+    var decompressed = stream.pipeline(fs.createReadStream(file), COMPRESSIONS[compression].createDecompress(), function afterPipeline() {
+      // errors are emitted by the returned stream
     });
+    decompressed.setEncoding(ENCODING);
+    return decompressed;
   },
 
-  readSync: function readSync(file) {
-    return JSON.parse(fs.readFileSync(file, ENCODING));
+  /**
+   * Returns the compression of a file from its extension
+   *
+   * @param file the file
+   * @returns {string} 'gzip', 'brotli' or undefined for plain files
+   */
+  compressionOf: function compressionOf(file) {
+    var extension = path.extname(file);
+    return _.findKey(COMPRESSIONS, function hasExtension(compression) {
+      return compression.extension === extension;
+    });
+  },
+
+  /**
+   * Returns the extension of the files stored with a compression
+   *
+   * @param {string} compression one of ['gzip', 'brotli'], undefined for plain files
+   * @returns {string} i.e. '.gz'
+   */
+  compressionExtension: function compressionExtension(compression) {
+    return compression ? COMPRESSIONS[compression].extension : '';
+  },
+
+  /**
+   * Returns the path of a collection file without its extensions,
+   * the files kept along with a collection (indexes, journal) are named after it
+   *
+   * @param file the collection file, i.e. '/tmp/Users.json.gz'
+   * @returns {string} i.e. '/tmp/Users'
+   */
+  basePath: function basePath(file) {
+    return file.replace(/\.json(\.gz|\.br)?$/, '');
+  },
+
+  /**
+   * Serializes a list of documents
+   *
+   * @param content the documents
+   * @param {string} format 'json' for a JSON array (the default) or 'ndjson' for one document per line
+   * @returns {string}
+   */
+  serialize: function serialize(content, format) {
+    if (format === 'ndjson') {
+      return _.flatten(content).map(function toLine(document) {
+        return JSON.stringify(document) + '\n';
+      }).join('');
+    }
+    return JSON.stringify(_.flatten(content), null, 0);
+  },
+
+  /**
+   * Parses a list of documents, JSON arrays start with '[' while NDJSON holds one document per line
+   *
+   * @param {string} content
+   * @returns {Array}
+   */
+  parse: function parse(content) {
+    if (module.exports.fileSystem.detectFormat(content) === 'json') {
+      return JSON.parse(content);
+    }
+    var documents = [];
+    content.split('\n').forEach(function parseLine(line, index) {
+      if (line.trim()) {
+        try {
+          documents.push(JSON.parse(line));
+        } catch (error) {
+          throw new SyntaxError(error.message + ' at line ' + (index + 1));
+        }
+      }
+    });
+    return documents;
+  },
+
+  /**
+   * Detects the format of the content of a file, empty files are NDJSON
+   *
+   * @param {string} content
+   * @returns {string} 'json' or 'ndjson'
+   */
+  detectFormat: function detectFormat(content) {
+    return /^\s*\[/.test(content) ? 'json' : 'ndjson';
+  },
+
+  /**
+   * Rewrites a file in the given format
+   *
+   * @param file the file to convert
+   * @param {string} format one of ['json', 'ndjson']
+   * @param {object} options the write options, i.e. {fsync: true}
+   * @param callback executes the callback with the default signature (err)
+   */
+  convert: function convert(file, format, options, callback) {
+    module.exports.fileSystem.read(file, options, function afterRead(err, documents) {
+      if (err) {
+        return callback(err);
+      }
+      module.exports.fileSystem.write(file, documents, _.extend({}, options, {format: format}), callback);
+    });
+  },
+
+  /**
+   * Appends records to a file, one JSON document per line, encrypted one by one with options.encryption.
+   * The records start on a new line, so a line truncated by an interrupted append never merges with them.
+   */
+  append: function append(file, records, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    var content = encodeRecords(records, options && options.encryption);
+    if (!options || !options.fsync) {
+      return fs.appendFile(file, content, function afterAppendFile(err) {
+        return callback(err);
+      });
+    }
+    fs.open(file, 'a', function afterOpen(err, fd) {
+      if (err) {
+        return callback(err);
+      }
+      fs.writeFile(fd, content, function afterWriteFile(err) {
+        if (err) {
+          return fs.close(fd, function afterClose() {
+            callback(err);
+          });
+        }
+        fs.fsync(fd, function afterSync(err) {
+          fs.close(fd, function afterClose(closeErr) {
+            return callback(err || closeErr);
+          });
+        });
+      });
+    });
+  },
+
+  /**
+   * Reads the records appended to a file, a missing file holds no records.
+   * Lines truncated by an interrupted append are skipped.
+   *
+   * @param file the file to read
+   * @param {object} options
+   * @param {object} options.encryption the encryption state, holding the key the records were encrypted with
+   * @param callback executes the callback with the signature (err, records)
+   */
+  readRecords: function readRecords(file, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    return fs.readFile(file, ENCODING, function afterReadFile(err, content) {
+      if (err) {
+        return err.code === 'ENOENT' ? callback(undefined, []) : callback(err);
+      }
+      var records = [];
+      var lines = content.split('\n');
+      for (var i = 0; i < lines.length; i++) {
+        if (lines[i]) {
+          try {
+            records.push(module.exports.fileSystem.decodeRecord(lines[i], options.encryption, file));
+          } catch (error) {
+            if (error instanceof encryption.EncryptionError && error.code !== 'ERR_AUTHENTICATION') {
+              return callback(error);
+            }
+            console.error('Skipping the truncated record at line %s of %s', i + 1, file);
+          }
+        }
+      }
+      return callback(undefined, records);
+    });
+  },
+
+  /**
+   * Parses a record appended to a file, decrypting it if needed
+   *
+   * @param {string} line the line holding the record
+   * @param {object} encryptionState the encryption state, holding the key the record was encrypted with
+   * @param file the file the record was read from, used in error messages
+   * @returns {object} the record
+   * @throws {SyntaxError|EncryptionError} if the record is truncated or cannot be decrypted
+   */
+  decodeRecord: function decodeRecord(line, encryptionState, file) {
+    if (line.charAt(0) === '{') {
+      // plain records are refused once the records are expected to be encrypted
+      encryption.decrypt(Buffer.from(line), encryptionState, file);
+      return JSON.parse(line);
+    }
+    return JSON.parse(encryption.decrypt(Buffer.from(line, 'base64'), encryptionState, file).toString(ENCODING));
+  },
+
+  /**
+   * Rewrites the records of a file, i.e. to encrypt them with another key
+   *
+   * @param file the file to write
+   * @param records the records to write
+   * @param {object} options the write options, i.e. {fsync: true, encryption: encryptionState}
+   * @param callback executes the callback with the default signature (err)
+   */
+  writeRecords: function writeRecords(file, records, options, callback) {
+    writeAtomically(file, encodeRecords(records, options.encryption), options, callback);
+  },
+
+  /**
+   * Removes a file, a missing file is not an error
+   */
+  remove: function remove(file, callback) {
+    fs.unlink(file, function afterUnlink(err) {
+      return callback(err && err.code !== 'ENOENT' ? err : undefined);
+    });
+  },
+
+  /**
+   * Returns a signature (inode, size and modification time) of a file, which changes whenever the file is written,
+   * the inode telling apart the files written within the same modification time, as every write replaces the file
+   */
+  signature: function signature(file, callback) {
+    fs.stat(file, function afterStat(err, stats) {
+      if (err) {
+        return err.code === 'ENOENT' ? callback(undefined, 'missing') : callback(err);
+      }
+      return callback(undefined, stats.ino + ':' + stats.size + ':' + stats.mtimeMs);
+    });
+  },
+
+  /**
+   * Recovers the temporary files left by writes interrupted before their rename.
+   * They are removed when the file is readable, otherwise the most recent readable one replaces the file.
+   * Must be called holding the file lock, temporary files of ongoing writes would be removed otherwise.
+   *
+   * @param file the file written through write
+   * @param {object} options
+   * @param {object} options.encryption the encryption state, holding the key the file was encrypted with
+   * @param callback executes the callback with the signature (err, recovered), recovered is true if the file was replaced
+   */
+  recover: function recover(file, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    var directory = path.dirname(file);
+    var prefix = path.basename(file) + '.';
+    fs.readdir(directory, function afterReadDirectory(err, names) {
+      if (err) {
+        return callback(err);
+      }
+      var temporaryFiles = names.filter(function isTemporaryFile(name) {
+        return name.indexOf(prefix) === 0 && TEMPORARY_FILE.test(name.slice(prefix.length));
+      }).map(function toPath(name) {
+        return path.join(directory, name);
+      });
+      if (temporaryFiles.length === 0) {
+        return callback(undefined, false);
+      }
+      var replacement;
+      var readOptions = {compression: module.exports.fileSystem.compressionOf(file), encryption: options.encryption};
+      if (!isReadable(file, readOptions)) {
+        var readable = temporaryFiles.filter(function isReadableTemporaryFile(temporaryFile) {
+          return isReadable(temporaryFile, readOptions);
+        });
+        replacement = readable.length ? _.max(readable, modificationTime) : undefined;
+      }
+      var removeTemporaryFiles = function removeTemporaryFiles(err) {
+        if (err) {
+          return callback(err);
+        }
+        var leftovers = _.without(temporaryFiles, replacement);
+        var next = _.after(leftovers.length, function afterRemove() {
+          return callback(undefined, !!replacement);
+        });
+        if (leftovers.length === 0) {
+          return next();
+        }
+        leftovers.forEach(function removeLeftover(temporaryFile) {
+          console.log('Removing the temporary file \'%s\' left by an interrupted write', temporaryFile);
+          fs.unlink(temporaryFile, function afterUnlink() {
+            next();
+          });
+        });
+      };
+      if (!replacement) {
+        return removeTemporaryFiles();
+      }
+      console.log('Recovering \'%s\' from the temporary file \'%s\' left by an interrupted write', file, replacement);
+      fs.rename(replacement, file, removeTemporaryFiles);
+    });
   },
 
   exists: function exists(file, callback) {
     return fs.exists(file, callback);
   },
 
+  existsSync: function existsSync(file) {
+    return fs.existsSync(file);
+  },
+
   lock: function lock(file, callback) {
     var fileLock = generateLockFileName(file);
     lockFile.lock(fileLock, _lockOptions, callback);
@@ -100,6 +701,106 @@ module.exports.fileSystem = {
   }
 };
 
+var TEMPORARY_FILE = /^\d+\.\d+\.tmp$/;
+
+var COMPRESSIONS = {
+  gzip: {
+    extension: '.gz',
+    compress: zlib.gzip,
+    decompress: function decompress(content, partial, callback) {
+      zlib.gunzip(content, partial ? {finishFlush: zlib.constants.Z_SYNC_FLUSH} : {}, callback);
+    },
+    decompressSync: zlib.gunzipSync,
+    createDecompress: zlib.createGunzip
+  },
+  brotli: {
+    extension: '.br',
+    compress: zlib.brotliCompress,
+    decompress: function decompress(content, partial, callback) {
+      zlib.brotliDecompress(content, partial ? {finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH} : {}, callback);
+    },
+    decompressSync: zlib.brotliDecompressSync,
+    createDecompress: zlib.createBrotliDecompress
+  }
+};
+var temporaryFiles = 0;
+
+function writeAtomically(file, content, options, callback) {
+  // the pid and a counter keep the temporary files of concurrent writes apart
+  var temporaryFile = file + '.' + process.pid + '.' + (++temporaryFiles) + '.tmp';
+  var fail = function fail(err) {
+    fs.unlink(temporaryFile, function afterUnlink() {
+      return callback(err);
+    });
+  };
+  fs.open(temporaryFile, 'w', function afterOpen(err, fd) {
+    if (err) {
+      return callback(err);
+    }
+    var close = function close(err) {
+      fs.close(fd, function afterClose(closeErr) {
+        if (err || closeErr) {
+          return fail(err || closeErr);
+        }
+        fs.rename(temporaryFile, file, function afterRename(err) {
+          if (err) {
+            return fail(err);
+          }
+          if (!options.fsync) {
+            return callback();
+          }
+          // makes the rename itself durable
+          syncDirectory(path.dirname(file), callback);
+        });
+      });
+    };
+    fs.writeFile(fd, content, function afterWriteFile(err) {
+      if (err) {
+        return close(err);
+      }
+      // the content reaches the storage device before the rename, a crash cannot leave an empty file renamed over the collection
+      fs.fsync(fd, close);
+    });
+  });
+}
+
+function encodeRecords(records, encryptionState) {
+  return records.map(function toLine(record) {
+    var line = JSON.stringify(record);
+    if (encryption.isEnabled(encryptionState)) {
+      line = encryption.encrypt(line, encryptionState).toString('base64');
+    }
+    return '\n' + line;
+  }).join('') + '\n';
+}
+
+function syncDirectory(directory, callback) {
+  fs.open(directory, 'r', function afterOpen(err, fd) {
+    if (err) {
+      // some platforms cannot open directories, the rename is still atomic there
+      return callback();
+    }
+    fs.fsync(fd, function afterSync() {
+      fs.close(fd, function afterClose() {
+        return callback();
+      });
+    });
+  });
+}
+
+function modificationTime(file) {
+  return fs.statSync(file).mtime.getTime();
+}
+
+function isReadable(file, options) {
+  try {
+    module.exports.fileSystem.readSync(file, options);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
 var _lockOptions = {
   wait: 15000,
   pollPeriod: 100,
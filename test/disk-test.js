@@ -25,6 +25,8 @@
 var JSONDBFSDriver = require('../index');
 var assert = require('assert');
 var async = require('async');
+var fs = require('fs');
+var path = require('path');
 
 function generateRandomName() {
   var text = "";
@@ -36,6 +38,17 @@ function generateRandomName() {
   return text;
 }
 
+/**
+ * Expects the promise to be rejected with an error message matching the pattern
+ * @param promise
+ * @param pattern
+ */
+function assertRejects(promise, pattern) {
+  return promise.then(() => assert.fail('The promise should be rejected'), (err) => {
+    assert(pattern.test(err.message), err.message);
+  });
+}
+
 /**
  * JSON DB FS Test Specification for Disk Driver
  */
@@ -131,14 +144,21 @@ describe('JSONDBFS Disk Driver', function testSpec() {
     });
   });
 
-  it('should fail creating a connection without passing a callback', function test(done) {
-    try {
-      JSONDBFSDriver.connect('MissingCallback');
-    }
-    catch (err) {
-      assert.notEqual(err, undefined);
-    }
-    return done();
+  it('should resolve the connection without passing a callback', function test(done) {
+    JSONDBFSDriver.connect('DiskPromised')
+      .then((db) => {
+        assert.ok(db instanceof JSONDBFSDriver.Database);
+        // collection methods return a Promise and call the callback, if any
+        var promise = db.DiskPromised.insert({name: 'Manuel'}, function afterInsert(err, document) {
+          assert.equal(err, undefined);
+          assert.equal(document.name, 'Manuel');
+          promise.then((inserted) => {
+            assert.equal(inserted, document);
+            return done();
+          });
+        });
+      })
+      .catch(done);
   });
 
   it('should create a new collection passing a non array as collection', function test(done) {
@@ -367,4 +387,552 @@ describe('JSONDBFS Disk Driver', function testSpec() {
     });
   });
 
+
+  describe('with a database per test', function perTestSpec() {
+    var dir;
+    var opened = [];
+
+    /**
+     * Connects to the collections with the disk driver, storing them in the directory of the tests.
+     * The database is closed once the test is done.
+     *
+     * @param collections the collections names
+     * @param options the connect options, overriding the driver and path
+     * @returns {Promise} resolves with the database
+     */
+    function connect(collections, options) {
+      return new Promise((resolve, reject) => {
+        JSONDBFSDriver.connect(collections, Object.assign({path: dir, driver: 'disk'}, options), function afterConnect(err, db) {
+          if (err) {
+            return reject(err);
+          }
+          opened.push(db);
+          return resolve(db);
+        });
+      });
+    }
+
+    /**
+     * Returns the path of a file in the directory of the tests
+     */
+    function file(name) {
+      return path.join(dir, name);
+    }
+
+    before(function() {
+      dir = fs.mkdtempSync('/tmp/disk-');
+    });
+
+    afterEach(function(done) {
+      var closing = opened;
+      opened = [];
+      async.each(closing, function closeDatabase(db, next) {
+        db.close(next);
+      }, done);
+    });
+
+    after(function() {
+      fs.rmSync(dir, {recursive: true});
+    });
+
+
+    it('should sort, skip, limit and project found documents', function() {
+      return connect(['DiskFindOptions']).then((db) => {
+        var collection = db.DiskFindOptions;
+        return collection.insertMany([
+          {user: 'Manuel', date: 3, profile: {age: 30}, tags: ['a', 'b', 'c']},
+          {user: 'Manuel', date: 1, profile: {age: 20}, tags: ['d']},
+          {user: 'Manuel', date: 2, profile: {age: 30}, tags: []},
+          {user: 'John', date: 4, profile: {age: 40}, tags: []}
+        ])
+          .then(() => collection.find({user: 'Manuel'}, {sort: {'profile.age': -1, date: 1}, skip: 1, limit: 2, projection: {_id: 0, date: 1}}))
+          .then((documents) => {
+            assert.deepEqual(documents, [{date: 3}, {date: 1}]);
+            return collection.findOne({user: 'Manuel'}, {sort: {date: -1}, projection: {tags: {$slice: 1}, profile: 0}});
+          })
+          .then((document) => {
+            assert.equal(document.date, 3);
+            assert.equal(document.profile, undefined);
+            assert.deepEqual(document.tags, ['a']);
+            return assertRejects(collection.find({user: 'Manuel'}, {projection: {date: 1, profile: 0}}), /mix of inclusion and exclusion/);
+          });
+      });
+    });
+
+
+    it('should aggregate documents using a pipeline', function() {
+      return connect(['DiskAggregate']).then((db) => {
+        var collection = db.DiskAggregate;
+        return collection.insertMany([
+          {user: 'Manuel', amount: 10, tags: ['a', 'b']},
+          {user: 'John', amount: 5, tags: ['a']},
+          {user: 'Manuel', amount: 7, tags: []}
+        ])
+          .then(() => collection.aggregate([
+            {$match: {amount: {$gt: 1}}},
+            {$group: {_id: '$user', total: {$sum: '$amount'}, average: {$avg: '$amount'}, amounts: {$push: '$amount'}}},
+            {$sort: {total: -1}},
+            {$project: {_id: 0, user: '$_id', total: 1, average: 1, amounts: 1, big: {$gte: ['$total', 10]}}}
+          ]))
+          .then((documents) => {
+            assert.deepEqual(documents, [
+              {user: 'Manuel', total: 17, average: 8.5, amounts: [10, 7], big: true},
+              {user: 'John', total: 5, average: 5, amounts: [5], big: false}
+            ]);
+            return collection.aggregate([
+              {$facet: {
+                count: [{$count: 'documents'}],
+                tags: [{$unwind: '$tags'}, {$sortByCount: '$tags'}],
+                top: [{$sort: {amount: -1}}, {$skip: 1}, {$limit: 1}, {$project: {_id: 0, amount: 1}}]
+              }}
+            ]);
+          })
+          .then((documents) => {
+            assert.deepEqual(documents, [{
+              count: [{documents: 3}],
+              tags: [{_id: 'a', count: 2}, {_id: 'b', count: 1}],
+              top: [{amount: 7}]
+            }]);
+            return assertRejects(collection.aggregate([{$unknown: {}}]), /Unrecognized pipeline stage/);
+          });
+      });
+    });
+
+
+    it('should use secondary indexes to find, update and remove documents', function() {
+      return connect(['DiskIndexes']).then((db) => {
+        var collection = db.DiskIndexes;
+        var documents = [];
+        for (var i = 0; i < 50; i++) {
+          documents.push({n: i, group: i % 5, tags: ['t' + (i % 3)]});
+        }
+        var scan;
+        var planned = [];
+        var built;
+        var plan = collection._indexes.plan;
+        collection._indexes.plan = function spyPlan() {
+          var positions = plan.apply(this, arguments);
+          planned.push(positions && positions.length);
+          return positions;
+        };
+        return collection.insertMany(documents)
+          .then(() => Promise.all([
+            collection.find({group: 2}),
+            collection.find({n: {$gte: 10, $lt: 14}}),
+            collection.find({tags: 't1', group: {$in: [0, 1]}})
+          ]))
+          .then((results) => {
+            scan = results;
+            return collection.createIndex({group: 1, tags: 1});
+          })
+          .then((name) => {
+            assert.equal(name, 'group_1_tags_1');
+            return collection.createIndex({n: -1}, {name: 'byNumber'});
+          })
+          .then(() => collection.listIndexes())
+          .then((indexes) => {
+            assert.deepEqual(indexes, [
+              {name: '_id_', key: {_id: 1}},
+              {name: 'group_1_tags_1', key: {group: 1, tags: 1}},
+              {name: 'byNumber', key: {n: -1}}
+            ]);
+            return Promise.all([
+              collection.find({group: 2}),
+              collection.find({n: {$gte: 10, $lt: 14}}),
+              collection.find({tags: 't1', group: {$in: [0, 1]}})
+            ]);
+          })
+          .then((results) => {
+            assert.deepEqual(results, scan);
+            assert.equal(results[1].length, 4);
+            // the finds read the candidates found by the indexes instead of streaming the collection file
+            assert.deepEqual(planned.sort((a, b) => a - b), [4, 7, 10]);
+            planned = [];
+            return collection.update({group: 3}, {$set: {updated: true}});
+          })
+          .then((result) => {
+            assert.deepEqual(result, {nMatched: 10, nModified: 10, nUpserted: 0});
+            return collection.remove({n: {$lt: 5}});
+          })
+          .then(() => Promise.all([collection.count(), collection.count({group: 3}), collection.count({updated: true})]))
+          .then((counts) => {
+            assert.deepEqual(counts, [45, 9, 9]);
+            assert.deepEqual(planned, [10, 5, 9]);
+            built = collection._indexes._entries.group_1_tags_1;
+            return collection.find({group: 1});
+          })
+          .then((found) => {
+            assert.equal(found.length, 9);
+            // the collection file did not change, the index entries are kept although it was read again
+            assert.strictEqual(collection._indexes._entries.group_1_tags_1, built);
+            return collection.dropIndex({group: 1, tags: 1});
+          })
+          .then(() => assertRejects(collection.dropIndex('_id_'), /Cannot drop/))
+          .then(() => collection.listIndexes())
+          .then((indexes) => {
+            assert.deepEqual(indexes.map((index) => index.name), ['_id_', 'byNumber']);
+          });
+      });
+    });
+
+
+    it('should journal the changes and compact them into the collection file', function() {
+      var options = {disk: {journal: true, journalLimit: 5}};
+      var collection;
+      return connect(['DiskJournal'], options)
+        .then((db) => {
+          collection = db.DiskJournal;
+          return collection.insertMany([{n: 1}, {n: 2}]);
+        })
+        .then(() => collection.update({n: 2}, {$set: {updated: true}}))
+        .then(() => collection.remove({n: 1}))
+        .then(() => {
+          assert.deepEqual(JSON.parse(fs.readFileSync(file('DiskJournal.json'))), []);
+          assert(fs.existsSync(file('DiskJournal.journal')));
+          return connect(['DiskJournal'], options);
+        })
+        .then((db) => {
+          collection = db.DiskJournal;
+          return collection.find({});
+        })
+        .then((documents) => {
+          assert.deepEqual(documents.map((document) => [document.n, document.updated]), [[2, true]]);
+          return collection.insert({n: 3});
+        })
+        .then(() => {
+          assert.equal(fs.existsSync(file('DiskJournal.journal')), false);
+          assert.deepEqual(JSON.parse(fs.readFileSync(file('DiskJournal.json'))).map((document) => document.n), [2, 3]);
+          return collection.update({n: 3}, {$set: {updated: true}});
+        })
+        .then(() => {
+          assert(fs.existsSync(file('DiskJournal.journal')));
+          // connecting without the journal compacts it first, the records are neither ignored nor replayed later
+          return connect(['DiskJournal']);
+        })
+        .then((db) => {
+          assert.equal(fs.existsSync(file('DiskJournal.journal')), false);
+          collection = db.DiskJournal;
+          return collection.findOne({n: 3});
+        })
+        .then((document) => {
+          assert.equal(document.updated, true);
+          return collection.remove({n: 2});
+        })
+        .then(() => connect(['DiskJournal'], options))
+        .then((db) => db.DiskJournal.find({}))
+        .then((documents) => {
+          assert.deepEqual(documents.map((document) => [document.n, document.updated]), [[3, true]]);
+        });
+    });
+
+
+    it('should recover the temporary files left by interrupted writes', function() {
+      fs.writeFileSync(file('DiskRecovered.json'), '[{"name": "Manuel", "_id": "1"}, {"na');
+      fs.writeFileSync(file('DiskRecovered.json.1.1.tmp'), '[{"name": "Manuel", "_id": "1"}, {"name": "John", "_id": "2"}]');
+      fs.writeFileSync(file('DiskRecovered.json.1.2.tmp'), '[{"name": "Manuel", "_id": "1"}, {"name"');
+      fs.writeFileSync(file('DiskIntact.json'), '[{"name": "Manuel", "_id": "1"}]');
+      fs.writeFileSync(file('DiskIntact.json.1.3.tmp'), '[]');
+      return connect(['DiskRecovered', 'DiskIntact'], {writeConcern: {fsync: true}}).then((db) => {
+        assert.deepEqual(fs.readdirSync(dir).filter((name) => /^Disk(Recovered|Intact)\.json\./.test(name)), []);
+        return Promise.all([db.DiskRecovered.find({}), db.DiskIntact.find({})])
+          .then((results) => {
+            assert.deepEqual(results[0].map((document) => document.name), ['Manuel', 'John']);
+            assert.deepEqual(results[1].map((document) => document.name), ['Manuel']);
+            return db.DiskRecovered.insert({name: 'Maria'});
+          })
+          .then(() => {
+            assert.equal(JSON.parse(fs.readFileSync(file('DiskRecovered.json'))).length, 3);
+          });
+      });
+    });
+
+
+    it('should validate and repair corrupted collections', function() {
+      var content = '[{"name": "Manuel", "_id": "1"}, {"name": "Duplicated", "_id": "1"}, 7, {"name": "John"}, {"name": "Mar';
+      var db;
+      fs.writeFileSync(file('DiskCorrupted.json'), content);
+      return connect(['DiskCorrupted'], {onCorruption: 'fail'})
+        .then(() => assert.fail('Corrupted collections should be rejected'), (err) => {
+          assert(err instanceof JSONDBFSDriver.CorruptionError);
+          assert.equal(err.collection, 'DiskCorrupted');
+          assert.equal(err.report.valid, false);
+          return connect(['DiskCorrupted']);
+        })
+        .then((connected) => {
+          db = connected;
+          return db.validate('DiskCorrupted');
+        })
+        .then((report) => {
+          assert.equal(report.valid, false);
+          assert.equal(report.nrecords, 3);
+          assert.equal(report.errors.length, 3);
+          assert(/cannot be parsed/.test(report.errors[0]));
+          return db.repairCollection('DiskCorrupted');
+        })
+        .then((result) => {
+          assert.equal(result.nrecords, 2);
+          assert.equal(result.dropped, 2);
+          assert.equal(fs.readFileSync(result.quarantined[0], 'utf-8'), content);
+          return db.DiskCorrupted.find({});
+        })
+        .then((documents) => {
+          assert.deepEqual(documents.map((document) => document.name), ['Manuel', 'John']);
+          return db.validate('DiskCorrupted');
+        })
+        .then((report) => {
+          assert.equal(report.valid, true);
+          fs.writeFileSync(file('DiskCorrupted.json'), content);
+          return connect(['DiskCorrupted'], {onCorruption: 'repair'});
+        })
+        .then((db) => db.DiskCorrupted.count())
+        .then((count) => {
+          assert.equal(count, 2);
+        });
+    });
+
+
+    it('should store collections as NDJSON and convert them', function() {
+      return connect(['DiskLines', 'DiskArray'], {format: 'ndjson', collections: {DiskArray: {format: 'json'}}}).then((db) => {
+        return Promise.all([
+          db.DiskLines.insertMany([{name: 'Manuel'}, {name: 'John', bio: 'multi\nline'}]),
+          db.DiskArray.insert({name: 'Maria'})
+        ])
+          .then(() => {
+            var lines = fs.readFileSync(file('DiskLines.json'), 'utf-8').split('\n');
+            assert.equal(lines.length, 3);
+            assert.equal(JSON.parse(lines[1]).bio, 'multi\nline');
+            assert.equal(JSON.parse(fs.readFileSync(file('DiskArray.json'))).length, 1);
+            return db.DiskLines.find({name: 'John'});
+          })
+          .then((documents) => {
+            assert.equal(documents[0].bio, 'multi\nline');
+            return JSONDBFSDriver.convert(file('DiskLines.json'), 'json');
+          })
+          .then(() => {
+            assert.deepEqual(JSON.parse(fs.readFileSync(file('DiskLines.json'))).map((document) => document.name), ['Manuel', 'John']);
+            return JSONDBFSDriver.convert(file('DiskArray.json'), 'ndjson');
+          })
+          .then(() => {
+            assert.equal(JSON.parse(fs.readFileSync(file('DiskArray.json'), 'utf-8').split('\n')[0]).name, 'Maria');
+            return db.DiskArray.count();
+          })
+          .then((count) => {
+            assert.equal(count, 1);
+          });
+      });
+    });
+
+
+    it('should stream collection files to find, count and iterate documents', function() {
+      var documents = Array.from({length: 50}, (value, n) => ({_id: 'id' + n, n: n, text: 'a "quoted" ] } [ text'}));
+      fs.writeFileSync(file('DiskStreamed.json'), JSON.stringify(documents, null, 2));
+      fs.writeFileSync(file('DiskStreamedLines.json'), documents.map((document) => JSON.stringify(document)).join('\n'));
+      return connect(['DiskStreamed', 'DiskStreamedLines']).then((db) => Promise.all(['DiskStreamed', 'DiskStreamedLines'].map((name) => {
+        var collection = db[name];
+        var iterated = [];
+        return collection.find({n: {$gte: 10}}).limit(3)
+          .then((found) => {
+            assert.deepEqual(found.map((document) => document.n), [10, 11, 12]);
+            return collection.findOne({n: 42});
+          })
+          .then((document) => {
+            assert.equal(document.text, 'a "quoted" ] } [ text');
+            return Promise.all([collection.count(), collection.count({n: {$lt: 20}}), collection.find({n: {$lt: 20}}).skip(15).limit(10).count(true)]);
+          })
+          .then((counts) => {
+            assert.deepEqual(counts, [50, 20, 5]);
+            return collection.find({n: {$mod: [2, 0]}}).batchSize(4).skip(1).limit(12).project({n: 1}).forEach((document) => {
+              iterated.push(document);
+            });
+          })
+          .then(() => {
+            assert.equal(iterated.length, 12);
+            assert.deepEqual(iterated[0], {_id: 'id2', n: 2});
+            var cursor = collection.find().batchSize(2);
+            return cursor.next()
+              .then((document) => {
+                assert.equal(document.n, 0);
+                return cursor.close();
+              })
+              .then(() => cursor.hasNext());
+          })
+          .then((hasNext) => {
+            assert.equal(hasNext, false);
+          });
+      })));
+    });
+
+
+    it('should store compressed collections and migrate them', function() {
+      var zlib = require('zlib');
+      fs.writeFileSync(file('DiskPlain.json'), JSON.stringify([{_id: 'plain', name: 'Manuel'}]));
+      return connect(['DiskGzip', 'DiskBrotli', 'DiskPlain'], {
+        compression: 'gzip',
+        collections: {DiskBrotli: {compression: 'brotli', format: 'ndjson'}}
+      }).then((db) => {
+        var plain = db.DiskPlain;
+        return Promise.all([
+          db.DiskGzip.insertMany([{name: 'Manuel'}, {name: 'John'}]),
+          db.DiskBrotli.insert({name: 'Maria'}),
+          db.DiskPlain.insert({name: 'John'})
+        ])
+          .then(() => {
+            assert.equal(JSON.parse(zlib.gunzipSync(fs.readFileSync(file('DiskGzip.json.gz')))).length, 2);
+            assert.equal(JSON.parse(zlib.brotliDecompressSync(fs.readFileSync(file('DiskBrotli.json.br'))).toString().split('\n')[0]).name, 'Maria');
+            // existing plain collections are still attached as they are
+            assert.equal(JSON.parse(fs.readFileSync(file('DiskPlain.json'))).length, 2);
+            return Promise.all([db.DiskGzip.find({name: 'John'}).limit(1), db.DiskBrotli.count()]);
+          })
+          .then((results) => {
+            assert.equal(results[0][0].name, 'John');
+            assert.equal(results[1], 1);
+            return db.migrateCompression('DiskPlain', 'gzip');
+          })
+          .then((migrated) => {
+            assert.equal(migrated, file('DiskPlain.json.gz'));
+            assert.equal(fs.existsSync(file('DiskPlain.json')), false);
+            // a reference taken before the migration writes to the migrated file
+            return plain.insert({name: 'Maria'});
+          })
+          .then(() => {
+            assert.equal(db.DiskPlain, plain);
+            assert.equal(fs.existsSync(file('DiskPlain.json')), false);
+            return db.DiskPlain.find();
+          })
+          .then((documents) => {
+            assert.equal(documents.length, 3);
+            return db.migrateCompression('DiskPlain', 'none');
+          })
+          .then((migrated) => {
+            assert.equal(migrated, file('DiskPlain.json'));
+            assert.equal(JSON.parse(fs.readFileSync(file('DiskPlain.json'))).length, 3);
+            assert.equal(fs.existsSync(file('DiskPlain.json.gz')), false);
+          });
+      });
+    });
+
+
+    it('should encrypt collection files and rotate the key', function() {
+      var key = 'a'.repeat(64);
+      var newKey = 'b'.repeat(64);
+      return connect(['DiskEncrypted'], {disk: {journal: true}, encryption: {key: key}}).then((db) => {
+        return db.DiskEncrypted.insert({name: 'Manuel', ssn: '123-45-6789'})
+          .then(() => db.DiskEncrypted.insert({name: 'John'}))
+          .then(() => db.DiskEncrypted.createIndex({name: 1}))
+          .then(() => {
+            ['DiskEncrypted.json', 'DiskEncrypted.journal', 'DiskEncrypted.indexes.json'].forEach((name) => {
+              assert.equal(fs.readFileSync(file(name), 'utf-8').indexOf('Manuel'), -1);
+            });
+            return db.rotateKey(newKey);
+          })
+          .then(() => db.DiskEncrypted.find({name: 'Manuel'}));
+      })
+        .then((documents) => {
+          assert.equal(documents[0].ssn, '123-45-6789');
+          return connect(['DiskEncrypted'], {encryption: {key: key}});
+        })
+        .then(() => assert.fail('The previous key should be rejected'), (err) => {
+          assert.ok(err instanceof JSONDBFSDriver.EncryptionError);
+          assert.equal(err.code, 'ERR_WRONG_KEY');
+          return connect(['DiskEncrypted'], {disk: {journal: true}, encryption: {key: newKey}});
+        })
+        .then((db) => db.DiskEncrypted.count())
+        .then((count) => {
+          assert.equal(count, 2);
+        });
+    });
+
+
+    it('should encrypt selected fields and query the deterministic ones', function() {
+      return connect(['DiskEncryptedFields'], {
+        fieldEncryption: {key: 'c'.repeat(64)},
+        collections: {DiskEncryptedFields: {encryptedFields: {ssn: 'deterministic', 'card.number': 'random'}}}
+      }).then((db) => {
+        return db.DiskEncryptedFields.insertMany([
+          {name: 'Manuel', ssn: '123-45-6789', card: {number: '4111111111111111'}},
+          {name: 'John', ssn: '987-65-4321', card: {number: '5555555555554444'}}
+        ])
+          .then(() => {
+            var content = fs.readFileSync(file('DiskEncryptedFields.json'), 'utf-8');
+            assert.equal(content.indexOf('123-45-6789'), -1);
+            assert.equal(content.indexOf('4111111111111111'), -1);
+            assert.notEqual(content.indexOf('Manuel'), -1);
+            return db.DiskEncryptedFields.find({ssn: '123-45-6789'});
+          })
+          .then((documents) => {
+            assert.equal(documents.length, 1);
+            assert.equal(documents[0].card.number, '4111111111111111');
+            return db.DiskEncryptedFields.update({ssn: {$in: ['987-65-4321']}}, {$set: {ssn: '000-00-0000'}});
+          })
+          .then((ret) => {
+            assert.equal(ret.nModified, 1);
+            return db.DiskEncryptedFields.count({ssn: '000-00-0000'});
+          })
+          .then((count) => {
+            assert.equal(count, 1);
+            return assertRejects(db.DiskEncryptedFields.find({'card.number': '4111111111111111'}), /random algorithm/);
+          })
+          .then(() => db.DiskEncryptedFields.insert({name: 'Maria', ssn: '$enc:d:not-encrypted'}))
+          .then(() => {
+            // values looking like encrypted ones are encrypted as well
+            assert.equal(fs.readFileSync(file('DiskEncryptedFields.json'), 'utf-8').indexOf('not-encrypted'), -1);
+            return db.DiskEncryptedFields.find({ssn: '$enc:d:not-encrypted'});
+          })
+          .then((documents) => {
+            assert.deepEqual(documents.map((document) => document.name), ['Maria']);
+            assert.equal(documents[0].ssn, '$enc:d:not-encrypted');
+          });
+      });
+    });
+
+
+    it('should open independent databases with different paths and drivers', function() {
+      var tenantPath = fs.mkdtempSync(file('tenant-'));
+      return Promise.all([connect(['DiskTenants']), connect(['DiskTenants'], {path: tenantPath, driver: 'memory'})]).then((databases) => {
+        var disk = databases[0];
+        var memory = databases[1];
+        assert.notEqual(disk, memory);
+        assert.ok(disk instanceof JSONDBFSDriver.Database);
+        return disk.DiskTenants.insert({tenant: 'disk'})
+          .then(() => memory.DiskTenants.insert({tenant: 'memory'}))
+          .then(() => disk.DiskTenants.find({}))
+          .then((documents) => {
+            assert.deepEqual(documents.map((document) => document.tenant), ['disk']);
+            assert.equal(disk._db._path, dir);
+            return memory.DiskTenants.find({});
+          })
+          .then((documents) => {
+            assert.deepEqual(documents.map((document) => document.tenant), ['memory']);
+            assert.equal(fs.existsSync(path.join(tenantPath, 'DiskTenants.json')), true);
+          });
+      });
+    });
+
+
+    it('should attach collections named after Database methods', function() {
+      return connect(['close', 'on', 'DiskNamed']).then((db) => {
+        // the Database members are kept, the collections named after them are returned by collection(name)
+        assert.equal(typeof db.close, 'function');
+        assert.equal(typeof db.on, 'function');
+        assert.equal(db.DiskNamed, db.collection('DiskNamed'));
+        assert.equal(db.collection('Unknown'), undefined);
+        var closed = false;
+        db.on('close', () => {
+          closed = true;
+        });
+        return db.collection('close').insert({name: 'Manuel'})
+          .then(() => db.collection('on').insert({name: 'John'}))
+          .then(() => db.collection('close').find({name: 'Manuel'}))
+          .then((documents) => {
+            assert.equal(documents.length, 1);
+            assert.equal(JSON.parse(fs.readFileSync(file('on.json')))[0].name, 'John');
+            return db.close();
+          })
+          .then(() => {
+            assert.equal(closed, true);
+          });
+      });
+    });
+  });
+
 });
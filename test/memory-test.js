@@ -26,6 +26,7 @@ var JSONDBFSDriver = require('../index');
 var assert = require('assert');
 var async = require('async');
 var fs = require('fs');
+var path = require('path');
 
 function generateRandomName() {
   var text = "";
@@ -37,6 +38,25 @@ function generateRandomName() {
   return text;
 }
 
+/**
+ * Resolves once the given time has elapsed
+ * @param ms
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Expects the promise to be rejected with an error message matching the pattern
+ * @param promise
+ * @param pattern
+ */
+function assertRejects(promise, pattern) {
+  return promise.then(() => assert.fail('The promise should be rejected'), (err) => {
+    assert(pattern.test(err.message), err.message);
+  });
+}
+
 /**
  * JSON DB FS Test Specification for Memory Driver
  */
@@ -140,16 +160,20 @@ describe('JSONDBFS Memory Driver', function testSpec() {
     });
   });
 
-  it('should fail creating a connection without passing a callback', function test(done) {
-    try {
-      JSONDBFSDriver.connect('MissingCallback', {
-        driver: 'memory'
-      });
-    }
-    catch (err) {
-      assert.notEqual(err, undefined);
-    }
-    return done();
+  it('should resolve the connection without passing a callback', function test(done) {
+    JSONDBFSDriver.connect('MemoryPromised', {
+      driver: 'memory'
+    })
+      .then((db) => {
+        assert.ok(db instanceof JSONDBFSDriver.Database);
+        return JSONDBFSDriver.connect(undefined, {driver: 'memory'});
+      })
+      .then(() => done(new Error('Connecting without collections should be rejected')))
+      .catch((err) => {
+        assert.equal(err.message, 'No collections provided!');
+        return done();
+      })
+      .catch(done);
   });
 
   it('should create a new collection passing a non array as collection', function test(done) {
@@ -400,4 +424,600 @@ describe('JSONDBFS Memory Driver', function testSpec() {
     });
   });
 
+
+  describe('with a database per test', function perTestSpec() {
+    var dir;
+    var opened = [];
+
+    /**
+     * Connects to the collections with the memory driver, storing them in the directory of the tests.
+     * The database is closed once the test is done.
+     *
+     * @param collections the collections names
+     * @param options the connect options, overriding the driver and path
+     * @returns {Promise} resolves with the database
+     */
+    function connect(collections, options) {
+      return new Promise((resolve, reject) => {
+        JSONDBFSDriver.connect(collections, Object.assign({path: dir, driver: 'memory'}, options), function afterConnect(err, db) {
+          if (err) {
+            return reject(err);
+          }
+          opened.push(db);
+          return resolve(db);
+        });
+      });
+    }
+
+    /**
+     * Returns the path of a file in the directory of the tests
+     */
+    function file(name) {
+      return path.join(dir, name);
+    }
+
+    before(function() {
+      dir = fs.mkdtempSync('/tmp/memory-');
+    });
+
+    afterEach(function(done) {
+      var closing = opened;
+      opened = [];
+      async.each(closing, function closeDatabase(db, next) {
+        db.close(next);
+      }, done);
+    });
+
+    after(function() {
+      fs.rmSync(dir, {recursive: true});
+    });
+
+
+    it('should update documents using update operators', function() {
+      return connect(['MemoryOperators']).then((db) => {
+        var collection = db.MemoryOperators;
+        return collection.insert({name: 'Manuel', logins: 1, score: 10, nickname: 'mm', legacy: true})
+          .then(() => collection.update({name: 'Manuel'}, {
+            $set: {token: 'xsf32S123ss'},
+            $unset: {legacy: ''},
+            $inc: {logins: 2},
+            $mul: {score: 2},
+            $min: {lowest: 5},
+            $max: {score: 15},
+            $rename: {nickname: 'alias'},
+            $currentDate: {lastLogin: true}
+          }))
+          .then((ret) => {
+            assert.equal(ret.nMatched, 1);
+            return collection.findOne({name: 'Manuel'});
+          })
+          .then((document) => {
+            assert.equal(document.token, 'xsf32S123ss');
+            assert.equal(document.legacy, undefined);
+            assert.equal(document.logins, 3);
+            assert.equal(document.score, 20);
+            assert.equal(document.lowest, 5);
+            assert.equal(document.alias, 'mm');
+            assert.equal(document.nickname, undefined);
+            assert(document.lastLogin instanceof Date);
+            return assertRejects(collection.update({name: 'Manuel'}, {$set: {token: null}, name: 'Manuel Martins'}),
+              /cannot mix update operators/);
+          });
+      });
+    });
+
+
+    it('should update arrays using array update operators', function() {
+      return connect(['MemoryArrayOperators']).then((db) => {
+        var collection = db.MemoryArrayOperators;
+        return collection.insert({name: 'Manuel', roles: ['User'], scores: [5, 9, 3], history: ['a', 'b', 'c']})
+          .then(() => collection.update({name: 'Manuel'}, {
+            $push: {scores: {$each: [8, 1], $sort: -1, $slice: 4}},
+            $addToSet: {roles: {$each: ['User', 'Admin']}},
+            $pop: {history: -1}
+          }))
+          .then(() => collection.update({name: 'Manuel'}, {$pull: {scores: {$gte: 9}}, $pullAll: {history: ['c']}}))
+          .then(() => collection.findOne({name: 'Manuel'}))
+          .then((document) => {
+            assert.deepEqual(document.scores, [8, 5, 3]);
+            assert.deepEqual(document.roles, ['User', 'Admin']);
+            assert.deepEqual(document.history, ['b']);
+            return assertRejects(collection.update({name: 'Manuel'}, {$push: {name: 'not an array'}}), /non-array/);
+          });
+      });
+    });
+
+
+    it('should update nested fields using dot notation and positional operators', function() {
+      return connect(['MemoryPositional']).then((db) => {
+        var collection = db.MemoryPositional;
+        return collection.insert({
+          name: 'Manuel',
+          profile: {address: {city: 'Porto'}},
+          identities: [{id: 1, provider: 'facebook'}, {id: 2, provider: 'github'}],
+          grades: [{grade: 80, attempts: 1}, {grade: 90, attempts: 1}]
+        })
+          .then(() => collection.updateOne({
+            identities: {$elemMatch: {id: 2, provider: 'github'}}
+          }, {
+            $set: {'profile.address.city': 'Lisbon', 'identities.$.verified': true}
+          }))
+          .then(() => collection.updateMany({name: 'Manuel'}, {
+            $inc: {'grades.$[].attempts': 1},
+            $set: {'grades.$[high].honours': true}
+          }, {arrayFilters: [{'high.grade': {$gte: 85}}]}))
+          .then(() => collection.findOne({name: 'Manuel'}))
+          .then((document) => {
+            assert.equal(document.profile.address.city, 'Lisbon');
+            assert.equal(document['profile.address.city'], undefined);
+            assert.equal(document.identities[0].verified, undefined);
+            assert.equal(document.identities[1].verified, true);
+            assert.deepEqual(document.grades, [{grade: 80, attempts: 2}, {grade: 90, attempts: 2, honours: true}]);
+          });
+      });
+    });
+
+
+    it('should sort, skip, limit and project found documents', function() {
+      return connect(['MemoryFindOptions']).then((db) => {
+        var collection = db.MemoryFindOptions;
+        return collection.insertMany([
+          {user: 'Manuel', date: 3, profile: {age: 30}, tags: ['a', 'b', 'c']},
+          {user: 'Manuel', date: 1, profile: {age: 20}, tags: ['d']},
+          {user: 'Manuel', date: 2, profile: {age: 30}, tags: []},
+          {user: 'John', date: 4, profile: {age: 40}, tags: []}
+        ])
+          .then(() => collection.find({user: 'Manuel'}, {sort: {'profile.age': -1, date: 1}, skip: 1, limit: 2, projection: {_id: 0, date: 1}}))
+          .then((documents) => {
+            assert.deepEqual(documents, [{date: 3}, {date: 1}]);
+            return collection.findOne({user: 'Manuel'}, {sort: {date: -1}, projection: {tags: {$slice: 1}, profile: 0}});
+          })
+          .then((document) => {
+            assert.equal(document.date, 3);
+            assert.equal(document.profile, undefined);
+            assert.deepEqual(document.tags, ['a']);
+            return assertRejects(collection.find({user: 'Manuel'}, {projection: {date: 1, profile: 0}}), /mix of inclusion and exclusion/);
+          });
+      });
+    });
+
+
+    it('should iterate found documents using a cursor', function() {
+      return connect(['MemoryCursor']).then((db) => {
+        var collection = db.MemoryCursor;
+        var cursor;
+        return collection.insertMany([{name: 'c', age: 3}, {name: 'a', age: 1}, {name: 'b', age: 2}])
+          .then(() => collection.find({age: {$gte: 1}}).sort({age: -1}).skip(1).limit(5).project({_id: 0}).toArray())
+          .then((documents) => {
+            assert.deepEqual(documents, [{name: 'b', age: 2}, {name: 'a', age: 1}]);
+            return collection.find();
+          })
+          .then((documents) => {
+            assert.equal(documents.length, 3);
+            cursor = collection.find({}).sort({name: 1}).map((document) => document.name);
+            return cursor.next();
+          })
+          .then((name) => {
+            assert.equal(name, 'a');
+            assert.throws(() => cursor.limit(1));
+            return cursor.hasNext();
+          })
+          .then((hasNext) => {
+            assert.equal(hasNext, true);
+            return cursor.toArray();
+          })
+          .then((names) => {
+            assert.deepEqual(names, ['b', 'c']);
+            return collection.find({age: {$gt: 1}}).limit(1).count();
+          })
+          .then((count) => {
+            assert.equal(count, 2);
+            cursor = collection.find({});
+            // every then of a cursor resolves with the documents it read once
+            return Promise.all([cursor, cursor]);
+          })
+          .then((results) => {
+            assert.equal(results[0].length, 3);
+            assert.equal(results[1], results[0]);
+            return cursor;
+          })
+          .then((documents) => {
+            assert.equal(documents.length, 3);
+          });
+      });
+    });
+
+
+    it('should aggregate documents using a pipeline', function() {
+      return connect(['MemoryAggregate']).then((db) => {
+        var collection = db.MemoryAggregate;
+        return collection.insertMany([
+          {user: 'Manuel', amount: 10, tags: ['a', 'b']},
+          {user: 'John', amount: 5, tags: ['a']},
+          {user: 'Manuel', amount: 7, tags: []}
+        ])
+          .then(() => collection.aggregate([
+            {$match: {amount: {$gt: 1}}},
+            {$group: {_id: '$user', total: {$sum: '$amount'}, average: {$avg: '$amount'}, amounts: {$push: '$amount'}}},
+            {$sort: {total: -1}},
+            {$project: {_id: 0, user: '$_id', total: 1, average: 1, amounts: 1, big: {$gte: ['$total', 10]}}}
+          ]))
+          .then((documents) => {
+            assert.deepEqual(documents, [
+              {user: 'Manuel', total: 17, average: 8.5, amounts: [10, 7], big: true},
+              {user: 'John', total: 5, average: 5, amounts: [5], big: false}
+            ]);
+            return collection.aggregate([
+              {$facet: {
+                count: [{$count: 'documents'}],
+                tags: [{$unwind: '$tags'}, {$sortByCount: '$tags'}],
+                top: [{$sort: {amount: -1}}, {$skip: 1}, {$limit: 1}, {$project: {_id: 0, amount: 1}}]
+              }}
+            ]);
+          })
+          .then((documents) => {
+            assert.deepEqual(documents, [{
+              count: [{documents: 3}],
+              tags: [{_id: 'a', count: 2}, {_id: 'b', count: 1}],
+              top: [{amount: 7}]
+            }]);
+            return assertRejects(collection.aggregate([{$unknown: {}}]), /Unrecognized pipeline stage/);
+          });
+      });
+    });
+
+
+    it('should join collections using $lookup and populate', function() {
+      return connect(['MemoryAuthors', 'MemoryPosts']).then((db) => {
+        var authors;
+        return db.MemoryAuthors.insertMany([{name: 'Manuel'}, {name: 'John'}])
+          .then((inserted) => {
+            authors = inserted;
+            return db.MemoryPosts.insertMany([
+              {title: 'First', author: authors[0]._id, likes: [authors[1]._id]},
+              {title: 'Second', author: authors[0]._id, likes: [authors[0]._id, authors[1]._id]}
+            ]);
+          })
+          .then(() => db.MemoryAuthors.aggregate([
+            {$lookup: {from: 'MemoryPosts', localField: '_id', foreignField: 'author', as: 'posts'}},
+            {$lookup: {
+              from: 'MemoryPosts',
+              let: {author: '$_id'},
+              pipeline: [{$match: {$expr: {$in: ['$$author', '$likes']}}}, {$project: {_id: 0, title: 1}}],
+              as: 'liked'
+            }},
+            {$project: {_id: 0, name: 1, posts: {$size: '$posts'}, liked: 1}}
+          ]))
+          .then((documents) => {
+            assert.deepEqual(documents, [
+              {name: 'Manuel', posts: 2, liked: [{title: 'Second'}]},
+              {name: 'John', posts: 0, liked: [{title: 'First'}, {title: 'Second'}]}
+            ]);
+            return db.MemoryPosts.findOne({title: 'First'}, {populate: [
+              {path: 'author', collection: 'MemoryAuthors'},
+              {path: 'likes', collection: 'MemoryAuthors'}
+            ]});
+          })
+          .then((post) => {
+            assert.equal(post.author.name, 'Manuel');
+            assert.equal(post.likes[0].name, 'John');
+            return db.MemoryPosts.findOne({title: 'First'});
+          })
+          .then((post) => {
+            assert.equal(post.author, authors[0]._id);
+          });
+      });
+    });
+
+
+    it('should use secondary indexes to find, update and remove documents', function() {
+      return connect(['MemoryIndexes']).then((db) => {
+        var collection = db.MemoryIndexes;
+        var documents = [];
+        for (var i = 0; i < 50; i++) {
+          documents.push({n: i, group: i % 5, tags: ['t' + (i % 3)]});
+        }
+        var scan;
+        return collection.insertMany(documents)
+          .then(() => Promise.all([
+            collection.find({group: 2}),
+            collection.find({n: {$gte: 10, $lt: 14}}),
+            collection.find({tags: 't1', group: {$in: [0, 1]}})
+          ]))
+          .then((results) => {
+            scan = results;
+            return collection.createIndex({group: 1, tags: 1});
+          })
+          .then((name) => {
+            assert.equal(name, 'group_1_tags_1');
+            return collection.createIndex({n: -1}, {name: 'byNumber'});
+          })
+          .then(() => collection.listIndexes())
+          .then((indexes) => {
+            assert.deepEqual(indexes, [
+              {name: '_id_', key: {_id: 1}},
+              {name: 'group_1_tags_1', key: {group: 1, tags: 1}},
+              {name: 'byNumber', key: {n: -1}}
+            ]);
+            return Promise.all([
+              collection.find({group: 2}),
+              collection.find({n: {$gte: 10, $lt: 14}}),
+              collection.find({tags: 't1', group: {$in: [0, 1]}})
+            ]);
+          })
+          .then((results) => {
+            assert.deepEqual(results, scan);
+            assert.equal(results[1].length, 4);
+            return collection.update({group: 3}, {$set: {updated: true}});
+          })
+          .then((result) => {
+            assert.deepEqual(result, {nMatched: 10, nModified: 10, nUpserted: 0});
+            return collection.remove({n: {$lt: 5}});
+          })
+          .then(() => Promise.all([collection.count(), collection.count({group: 3}), collection.count({updated: true})]))
+          .then((counts) => {
+            assert.deepEqual(counts, [45, 9, 9]);
+            return collection.findOne({n: 20});
+          })
+          .then((document) => {
+            // found documents are copies, changing them leaves the collection and its indexes as they were
+            document.n = 1000;
+            return Promise.all([collection.find({n: 20}), collection.find({n: 1000})]);
+          })
+          .then((results) => {
+            assert.equal(results[0].length, 1);
+            assert.equal(results[1].length, 0);
+            return collection.dropIndex({group: 1, tags: 1});
+          })
+          .then(() => assertRejects(collection.dropIndex('_id_'), /Cannot drop/))
+          .then(() => collection.listIndexes())
+          .then((indexes) => {
+            assert.deepEqual(indexes.map((index) => index.name), ['_id_', 'byNumber']);
+          });
+      });
+    });
+
+
+    it('should reject documents violating unique indexes', function() {
+      return connect(['MemoryUnique']).then((db) => {
+        var collection = db.MemoryUnique;
+        var expectDuplicate = (promise, keyValue) => promise
+          .then(() => assert.fail('A duplicate key error was expected'), (err) => {
+            assert.equal(err.code, 11000);
+            assert.deepEqual(err.keyValue, keyValue);
+          });
+        return collection.insertMany([{email: 'a@b.c'}, {email: 'a@b.c'}, {name: 'No email'}])
+          .then(() => expectDuplicate(collection.createIndex({email: 1}, {unique: true}), {email: 'a@b.c'}))
+          .then(() => collection.remove({email: 'a@b.c'}))
+          .then(() => collection.createIndex({email: 1}, {unique: true, sparse: true}))
+          .then(() => collection.insert({email: 'a@b.c'}))
+          .then(() => collection.insert({name: 'Another without email'}))
+          .then(() => expectDuplicate(collection.insert({email: 'a@b.c'}), {email: 'a@b.c'}))
+          .then(() => expectDuplicate(collection.insertMany([{email: 'd@e.f'}, {email: 'd@e.f'}]), {email: 'd@e.f'}))
+          .then(() => expectDuplicate(collection.update({name: 'No email'}, {$set: {email: 'a@b.c'}}), {email: 'a@b.c'}))
+          .then(() => collection.update({email: 'g@h.i'}, {$set: {name: 'Upserted'}}, {upsert: true}))
+          .then(() => expectDuplicate(collection.update({name: 'Upsert'}, {$set: {email: 'g@h.i'}}, {upsert: true}), {email: 'g@h.i'}))
+          .then(() => collection.findOne({email: 'a@b.c'}))
+          .then((document) => expectDuplicate(collection.insert({_id: document._id}), {_id: document._id}))
+          .then(() => collection.count())
+          .then((count) => {
+            assert.equal(count, 4);
+          });
+      });
+    });
+
+
+    it('should remove documents expired by TTL indexes', function() {
+      return connect(['MemoryExpiring'], {ttlInterval: 100}).then((db) => {
+        var collection = db.MemoryExpiring;
+        var expired = new Date(Date.now() - 10000);
+        return collection.createIndex({expiresAt: 1}, {expireAfterSeconds: 5})
+          .then(() => collection.insertMany([
+            {token: 'expired', expiresAt: expired},
+            {token: 'expired string', expiresAt: expired.toISOString()},
+            {token: 'valid', expiresAt: new Date()},
+            {token: 'without date'}
+          ]))
+          .then(() => wait(300))
+          .then(() => collection.find({}))
+          .then((documents) => {
+            assert.deepEqual(documents.map((document) => document.token), ['valid', 'without date']);
+            return assertRejects(collection.createIndex({a: 1, b: 1}, {expireAfterSeconds: 5}), /single-field/);
+          });
+      });
+    });
+
+
+    it('should keep writing through the collection references taken before a repair', function() {
+      fs.writeFileSync(file('MemoryRepaired.json'), '[{"name": "Manuel", "_id": "1"}, {"name": "Jo');
+      return connect(['MemoryRepaired'], {memory: {flushStrategy: 'immediate'}}).then((db) => {
+        var collection = db.MemoryRepaired;
+        return db.repairCollection('MemoryRepaired')
+          .then(() => collection.insert({name: 'Maria'}))
+          .then(() => {
+            assert.equal(db.MemoryRepaired, collection);
+            assert.deepEqual(JSON.parse(fs.readFileSync(file('MemoryRepaired.json'))).map((document) => document.name), ['Manuel', 'Maria']);
+          });
+      });
+    });
+
+
+    it('should flush the memory driver a last time when the database is closed', function() {
+      return connect(['MemoryClosed'], {memory: {flush: true, flushInterval: 60000}}).then((db) => {
+        var closed = false;
+        db.on('close', () => {
+          closed = true;
+        });
+        return db.MemoryClosed.insert({name: 'Manuel'})
+          .then(() => {
+            assert.deepEqual(JSON.parse(fs.readFileSync(file('MemoryClosed.json'))), []);
+            var closing = db.close();
+            assert.equal(db.close(), closing);
+            return closing;
+          })
+          .then(() => {
+            assert.ok(closed);
+            assert.equal(JSON.parse(fs.readFileSync(file('MemoryClosed.json')))[0].name, 'Manuel');
+          });
+      });
+    });
+
+
+    it('should share the exit listeners between the databases flushed on exit', function() {
+      var events = ['SIGINT', 'SIGTERM', 'beforeExit'];
+      var listeners = events.map((event) => process.listenerCount(event));
+      var connecting = [];
+      for (var i = 0; i < 12; i++) {
+        connecting.push(connect(['MemoryExit' + i], {flushOnExit: true}));
+      }
+      return Promise.all(connecting)
+        .then((databases) => {
+          assert.deepEqual(events.map((event) => process.listenerCount(event)), listeners.map((count) => count + 1));
+          return Promise.all(databases.map((db) => db.close()));
+        })
+        .then(() => {
+          assert.deepEqual(events.map((event) => process.listenerCount(event)), listeners);
+        });
+    });
+
+
+    it('should only flush dirty collections and follow the flush strategy', function() {
+      return connect(['MemoryImmediate', 'MemoryOnDemand'], {memory: {flushStrategy: 'immediate'}}).then((db) => {
+        var modified = fs.statSync(file('MemoryOnDemand.json')).mtimeMs;
+        return db.MemoryImmediate.insert({name: 'Manuel'})
+          .then(() => {
+            // the 'immediate' strategy completes a write once flushed
+            assert.equal(JSON.parse(fs.readFileSync(file('MemoryImmediate.json'))).length, 1);
+            return db.flush();
+          })
+          .then(() => {
+            assert.equal(fs.statSync(file('MemoryOnDemand.json')).mtimeMs, modified);
+          });
+      });
+    });
+
+
+    it('should seed and reset ephemeral collections without touching the filesystem', function() {
+      fs.writeFileSync(file('ephemeral-fixture.json'), JSON.stringify([{name: 'Fixture'}]));
+      return connect(['EphemeralUsers', 'EphemeralFixtures'], {
+        path: ':memory:',
+        collections: {EphemeralUsers: {seed: [{_id: 'jane', name: 'Jane'}]}, EphemeralFixtures: {seed: file('ephemeral-fixture.json')}}
+      }).then((db) => {
+        assert.ok(!fs.existsSync('/tmp/EphemeralUsers.json'));
+        return db.EphemeralUsers.insert({name: 'Manuel'})
+          .then(() => db.EphemeralFixtures.remove({name: 'Fixture'}))
+          .then(() => db.EphemeralUsers.count({}))
+          .then((count) => {
+            assert.equal(count, 2);
+            return db.reset();
+          })
+          .then(() => Promise.all([db.EphemeralUsers.find({}), db.EphemeralFixtures.findOne({name: 'Fixture'})]))
+          .then((results) => {
+            assert.deepEqual(results[0], [{_id: 'jane', name: 'Jane'}]);
+            assert.equal(results[1].name, 'Fixture');
+            assert.ok(results[1]._id);
+            assert.ok(!fs.existsSync('/tmp/EphemeralUsers.json') && !fs.existsSync('/tmp/EphemeralFixtures.json'));
+            return assertRejects(db.validate('EphemeralUsers'), /ephemeral/);
+          });
+      });
+    });
+
+
+    it('should reload watched files changed on disk and detect conflicts with unflushed changes', function() {
+      return connect(['MemoryWatched'], {memory: {flush: true, flushInterval: 60000, watch: true}}).then((db) => {
+        var reloaded = [];
+        var conflicts = [];
+        db.on('reload', (name) => reloaded.push(name));
+        db.on('flushError', (err, name) => conflicts.push(err));
+        return wait(100)
+          .then(() => {
+            fs.writeFileSync(file('MemoryWatched.json'), JSON.stringify([{_id: 'external', name: 'External'}]));
+            return wait(300);
+          })
+          .then(() => db.MemoryWatched.find({}))
+          .then((documents) => {
+            assert.deepEqual(reloaded, ['MemoryWatched']);
+            assert.deepEqual(documents, [{_id: 'external', name: 'External'}]);
+            return db.MemoryWatched.insert({name: 'Local'});
+          })
+          .then(() => {
+            fs.writeFileSync(file('MemoryWatched.json'), JSON.stringify([{_id: 'edited', name: 'Edited'}]));
+            return wait(300);
+          })
+          .then(() => {
+            assert.ok(conflicts[0] instanceof JSONDBFSDriver.ConflictError);
+            return db.MemoryWatched.flush().then(() => assert.fail('The flush should fail'), (err) => {
+              assert.equal(err.name, 'ConflictError');
+              assert.equal(JSON.parse(fs.readFileSync(file('MemoryWatched.json')))[0]._id, 'edited');
+            });
+          })
+          .then(() => db.MemoryWatched.reload())
+          .then(() => db.MemoryWatched.find({}))
+          .then((documents) => {
+            assert.deepEqual(documents, [{_id: 'edited', name: 'Edited'}]);
+          });
+      });
+    });
+
+
+    it('should store collections with registered drivers and driver instances', function() {
+      var stores = {};
+      function ArrayDriver(options) {
+        this.name = options.name;
+        stores[this.name] = [];
+      }
+      ArrayDriver.prototype.get = function(callback) {
+        process.nextTick(() => callback(undefined, stores[this.name]));
+      };
+      ArrayDriver.prototype.set = function(documents, callback) {
+        stores[this.name] = documents;
+        process.nextTick(callback);
+      };
+      ArrayDriver.prototype.lock = ArrayDriver.prototype.unlock = function(callback) {
+        process.nextTick(callback);
+      };
+      ArrayDriver.prototype.stats = function(callback) {
+        process.nextTick(() => callback(undefined, {driver: 'array'}));
+      };
+      function ClosureDriver() {
+        var documents = [];
+        this.get = (callback) => process.nextTick(() => callback(undefined, documents));
+        this.set = (changed, callback) => {
+          documents = changed;
+          process.nextTick(callback);
+        };
+        this.lock = this.unlock = (callback) => process.nextTick(callback);
+      }
+      assert.throws(() => JSONDBFSDriver.registerDriver('disk', ArrayDriver), /built-in/);
+      assert.throws(() => JSONDBFSDriver.registerDriver('object', {}), /constructor/);
+      JSONDBFSDriver.registerDriver('incomplete', function Incomplete() {});
+      JSONDBFSDriver.registerDriver('closure', ClosureDriver);
+      JSONDBFSDriver.registerDriver('array', ArrayDriver);
+      return assertRejects(connect(['ArrayUsers'], {driver: 'unknown'}), /Option 'driver'/)
+        .then(() => assertRejects(connect(['IncompleteUsers'], {driver: 'incomplete'}), /get, set, lock, unlock/))
+        .then(() => connect(['ClosureUsers'], {driver: 'closure'}))
+        .then((db) => db.ClosureUsers.insert({name: 'Manuel'}).then(() => db.ClosureUsers.count()))
+        .then((count) => {
+          assert.equal(count, 1);
+          return connect(['ArrayUsers', 'ArrayOrders'], {driver: 'array'});
+        })
+        .then((db) => {
+          assert.deepEqual(fs.readdirSync(dir).filter((name) => /^Array/.test(name)), []);
+          return db.ArrayUsers.insert({name: 'Manuel'})
+            .then(() => db.ArrayUsers.stats())
+            .then((stats) => {
+              assert.deepEqual(stats, {ns: 'ArrayUsers', count: 1, driver: 'array'});
+              assert.equal(stores.ArrayUsers[0].name, 'Manuel');
+              assert.deepEqual(stores.ArrayOrders, []);
+            });
+        })
+        .then(() => assertRejects(connect(['ArrayUsers', 'ArrayOrders'], {driver: new ArrayDriver({name: 'shared'})}), /single collection/))
+        .then(() => connect(['ArrayInstance'], {driver: new ArrayDriver({name: 'instance'})}))
+        .then((db) => db.ArrayInstance.insert({name: 'Manuel'}))
+        .then(() => {
+          assert.equal(stores.instance[0].name, 'Manuel');
+        });
+    });
+  });
+
 });